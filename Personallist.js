@@ -1,6 +1,7 @@
 /*:
- * @plugindesc Custom “Personals” menu that displays NPC data in the player’s menu. – v1.2
+ * @plugindesc Custom “Personals” menu that displays NPC data in the player’s menu. – v1.3
  * @author Kristof Soczo
+ * @target MZ
  *
  * @param menuTitle
  * @text Menu Window Title
@@ -19,9 +20,616 @@
  * @text Open Menu Key
  * @type string
  * @default pageup
- * @desc The key name used to open the Personals menu directly (e.g. "pageup", "pagedown", "F5").
+ * @desc Key that opens the Personals menu directly: a single letter or digit, or an Input key name like "pageup", "pagedown", "tab".
+ *
+ * @param sortKey
+ * @text Sort Key
+ * @type string
+ * @default shift
+ * @desc Key that cycles the sort mode inside the Personals menu (a single letter, or a key name like "shift", "tab").
+ *
+ * @param defaultSortMode
+ * @text Default Sort Mode
+ * @parent sortKey
+ * @type select
+ * @option Order field (then order met)
+ * @value order
+ * @option Name
+ * @value name
+ * @option Category
+ * @value category
+ * @option Most recently met
+ * @value recent
+ * @default order
+ *
+ * @param sortText
+ * @text Sort Label
+ * @parent sortKey
+ * @type string
+ * @default Sort: %1
+ * @desc Shown in the title bar. %1 is replaced by the name of the current sort mode.
+ *
+ * @param sortTextOrder
+ * @text Order Mode Name
+ * @parent sortKey
+ * @type string
+ * @default Default
+ *
+ * @param sortTextName
+ * @text Name Mode Name
+ * @parent sortKey
+ * @type string
+ * @default Name
+ *
+ * @param sortTextCategory
+ * @text Category Mode Name
+ * @parent sortKey
+ * @type string
+ * @default Category
+ *
+ * @param sortTextRecent
+ * @text Recent Mode Name
+ * @parent sortKey
+ * @type string
+ * @default Recent
+ *
+ * @param searchKey
+ * @text Search Key
+ * @type string
+ * @default tab
+ * @desc Key that opens the name search inside the Personals menu (a single letter, or a key name like "tab", "pagedown").
+ *
+ * @param searchText
+ * @text Search Label
+ * @parent searchKey
+ * @type string
+ * @default Search: %1
+ * @desc Shown in the title bar while a search filter is active. %1 is replaced by the search text.
+ *
+ * @param searchDetails
+ * @text Search In Details
+ * @parent searchKey
+ * @type boolean
+ * @on Yes
+ * @off No
+ * @default false
+ * @desc Also match the search text against the visible details text, not only name and category.
+ *
+ * @param newBadgeText
+ * @text "New" Badge Text
+ * @type string
+ * @default New
+ * @desc Drawn next to entries the player has not opened since they were added.
+ *
+ * @param newBadgeIcon
+ * @text "New" Badge Icon
+ * @parent newBadgeText
+ * @type number
+ * @min 0
+ * @default 0
+ * @desc Icon index drawn instead of the text. 0 uses the text.
+ *
+ * @param updatedBadgeText
+ * @text "Updated" Badge Text
+ * @type string
+ * @default Upd
+ * @desc Drawn next to entries whose details changed since the player last opened them.
+ *
+ * @param updatedBadgeIcon
+ * @text "Updated" Badge Icon
+ * @parent updatedBadgeText
+ * @type number
+ * @min 0
+ * @default 0
+ * @desc Icon index drawn instead of the text. 0 uses the text.
+ *
+ * @param unreadMenuFormat
+ * @text Unread Menu Format
+ * @type string
+ * @default %1 (%2)
+ * @desc Main menu command text while there are unread entries. %1 = Menu Window Title, %2 = unread count.
+ *
+ * @param showAffinity
+ * @text Show Affinity Gauge
+ * @type boolean
+ * @on Show
+ * @off Hide
+ * @default false
+ * @desc Draws each NPC's affinity as a gauge with a rank label in the detail header.
+ *
+ * @param affinityLabel
+ * @text Affinity Label
+ * @parent showAffinity
+ * @type string
+ * @default Affinity
+ *
+ * @param affinityMin
+ * @text Minimum Affinity
+ * @parent showAffinity
+ * @type number
+ * @min -999999
+ * @default -100
+ *
+ * @param affinityMax
+ * @text Maximum Affinity
+ * @parent showAffinity
+ * @type number
+ * @min -999999
+ * @default 100
+ *
+ * @param affinityInitial
+ * @text Initial Affinity
+ * @parent showAffinity
+ * @type number
+ * @min -999999
+ * @default 0
+ * @desc Affinity of an NPC when it is added to the list.
+ *
+ * @param affinityRanks
+ * @text Affinity Ranks
+ * @parent showAffinity
+ * @type struct<PersonalAffinityRank>[]
+ * @default ["{\"min\":\"-100\",\"label\":\"Hostile\",\"color\":\"18\"}","{\"min\":\"-30\",\"label\":\"Wary\",\"color\":\"2\"}","{\"min\":\"0\",\"label\":\"Neutral\",\"color\":\"\"}","{\"min\":\"30\",\"label\":\"Friendly\",\"color\":\"3\"}","{\"min\":\"70\",\"label\":\"Devoted\",\"color\":\"24\"}"]
+ * @desc The rank of an NPC is the last rank whose minimum the affinity reaches.
+ *
+ * @param toastAdded
+ * @text Notify When Added
+ * @type boolean
+ * @on Show
+ * @off Hide
+ * @default false
+ * @desc Shows a short notification on the map when an NPC is added to the list.
+ *
+ * @param toastAddedText
+ * @text Added Text
+ * @parent toastAdded
+ * @type string
+ * @default New contact: %1
+ * @desc %1 is the NPC's name.
+ *
+ * @param toastUpdated
+ * @text Notify When Updated
+ * @parent toastAdded
+ * @type boolean
+ * @on Show
+ * @off Hide
+ * @default false
+ *
+ * @param toastUpdatedText
+ * @text Updated Text
+ * @parent toastAdded
+ * @type string
+ * @default Contact updated: %1
+ *
+ * @param toastRemoved
+ * @text Notify When Removed
+ * @parent toastAdded
+ * @type boolean
+ * @on Show
+ * @off Hide
+ * @default false
+ *
+ * @param toastRemovedText
+ * @text Removed Text
+ * @parent toastAdded
+ * @type string
+ * @default Contact removed: %1
+ *
+ * @param toastSe
+ * @text Notification SE
+ * @parent toastAdded
+ * @type file
+ * @dir audio/se/
+ * @desc Played when a notification appears. Empty = silent.
+ *
+ * @param toastDuration
+ * @text Notification Duration
+ * @parent toastAdded
+ * @type number
+ * @min 1
+ * @default 150
+ * @desc Frames a notification stays on screen (60 = 1 second).
+ *
+ * @param toastPosition
+ * @text Notification Position
+ * @parent toastAdded
+ * @type select
+ * @option Top left
+ * @value topLeft
+ * @option Top
+ * @value top
+ * @option Top right
+ * @value topRight
+ * @option Bottom left
+ * @value bottomLeft
+ * @option Bottom
+ * @value bottom
+ * @option Bottom right
+ * @value bottomRight
+ * @default topRight
+ *
+ * @param toastWidth
+ * @text Notification Width
+ * @parent toastAdded
+ * @type number
+ * @min 120
+ * @default 400
+ *
+ * @param eventReactions
+ * @text Event Reactions
+ * @type struct<PersonalReaction>[]
+ * @default []
+ * @desc Common Events to run or switches to set when NPCs are added, removed, updated or change affinity rank.
+ *
+ * @param lockedSectionText
+ * @text Locked Section Text
+ * @type string
+ * @default ???
+ * @desc Placeholder shown in the description for detail sections that are not revealed yet.
+ *
+ * @param detailsView
+ * @text Details View
+ * @type select
+ * @option Pages (left / right)
+ * @value paged
+ * @option Smooth scrolling (up / down)
+ * @value scroll
+ * @default paged
+ * @desc How descriptions longer than the details window are shown.
+ *
+ * @param pageText
+ * @text Page Label
+ * @type string
+ * @default Page %1/%2
+ * @desc Shown next to the page arrows of long descriptions. %1 = current page, %2 = number of pages.
+ *
+ * @param detailsTabText
+ * @text Details Tab Text
+ * @type string
+ * @default Details
+ * @desc Label of the description tab, shown when an NPC has journal entries.
+ *
+ * @param journalTabText
+ * @text Journal Tab Text
+ * @parent detailsTabText
+ * @type string
+ * @default Journal
+ *
+ * @param journalDayText
+ * @text Journal Date (Day)
+ * @parent detailsTabText
+ * @type string
+ * @default Day %1
+ * @desc Date of a journal entry when a Day Variable is set. %1 is the day. Otherwise the play time is shown.
+ *
+ * @param showUndiscovered
+ * @text Show Undiscovered NPCs
+ * @type boolean
+ * @on Show
+ * @off Hide
+ * @default false
+ * @desc Lists every defined NPC. Those not added yet are shown last, as dimmed "???" rows with their Hint: line.
+ *
+ * @param undiscoveredText
+ * @text Undiscovered Name
+ * @parent showUndiscovered
+ * @type string
+ * @default ???
+ *
+ * @param completionFormat
+ * @text Completion Format
+ * @type string
+ * @default %1 (%2%)
+ * @desc Title and category tabs. %1 = title / category, %2 = percent found, %3 = found, %4 = defined NPCs. Empty = hide.
+ *
+ * @param showCategoryTabs
+ * @text Show Category Tabs
+ * @type boolean
+ * @on Show
+ * @off Hide
+ * @default true
+ * @desc Shows a row of category tabs above the list that filters the NPCs.
+ *
+ * @param allCategoryText
+ * @text "All" Tab Text
+ * @parent showCategoryTabs
+ * @type string
+ * @default All
+ *
+ * @param categoryOrder
+ * @text Category Tab Order
+ * @parent showCategoryTabs
+ * @type string[]
+ * @default []
+ * @desc Categories listed here come first, in this order. Any other category follows in the order it was met.
+ *
+ * @param portraitLayout
+ * @text Portrait Layout
+ * @type select
+ * @option Over the details (bottom right)
+ * @value overlay
+ * @option Own column (right side)
+ * @value column
+ * @default overlay
+ * @desc Where Portrait: images are shown in the detail view.
+ *
+ * @param portraitColumnWidth
+ * @text Portrait Column Width
+ * @parent portraitLayout
+ * @type number
+ * @min 48
+ * @default 240
+ * @desc Width of the portrait column when the layout is "Own column".
+ *
+ * @param listWidth
+ * @text List Width
+ * @type number
+ * @min 96
+ * @default 300
+ * @desc Width of the NPC list. The detail windows take the rest of the screen.
+ *
+ * @param listColumns
+ * @text List Columns
+ * @parent listWidth
+ * @type number
+ * @min 1
+ * @default 1
+ *
+ * @param listRowStyle
+ * @text List Row Style
+ * @parent listWidth
+ * @type select
+ * @option Name
+ * @value name
+ * @option Icon + name (first icon of the NPC)
+ * @value icon
+ * @option Face thumbnail + name (two lines high)
+ * @value face
+ * @option Name and category (two lines)
+ * @value twoLine
+ * @default name
+ *
+ * @param listRowColor
+ * @text List Row Color
+ * @parent listWidth
+ * @type select
+ * @option Normal
+ * @value none
+ * @option By category (Category Colors)
+ * @value category
+ * @option By affinity rank (rank colors)
+ * @value affinity
+ * @default none
+ * @desc Text colour of the NPC names in the list.
+ *
+ * @param categoryColors
+ * @text Category Colors
+ * @parent listRowColor
+ * @type struct<PersonalCategoryColor>[]
+ * @default []
+ * @desc Name colour per category when List Row Color is "By category".
+ *
+ * @param headerLines
+ * @text Header Height
+ * @type number
+ * @min 1
+ * @default 3
+ * @desc Height of the detail header (face, name, category, icons) in lines.
+ *
+ * @param swapSides
+ * @text List On The Right
+ * @type boolean
+ * @on Right
+ * @off Left
+ * @default false
+ * @desc Puts the list on the right and the details on the left.
+ *
+ * @param showTitle
+ * @text Show Title Window
+ * @type boolean
+ * @on Show
+ * @off Hide
+ * @default true
+ * @desc Without the title window the sort mode and the search text are not shown.
+ *
+ * @param backgroundImage
+ * @text Background Image
+ * @type file
+ * @dir img/pictures/
+ * @desc Shown behind the menu instead of the blurred map. Leave empty for the default.
+ *
+ * @param windowStyles
+ * @text Window Styles
+ * @type struct<PersonalWindowStyle>[]
+ * @default []
+ * @desc Position, size, opacity and windowskin of single windows of the menu.
+ *
+ * @param dayVariable
+ * @text Day Variable
+ * @type variable
+ * @default 0
+ * @desc Variable holding the in-game day. It is stored when an NPC is met. 0 = no day.
+ *
+ * @param firstMetText
+ * @text First Met Text
+ * @parent dayVariable
+ * @type string
+ * @default First met: %1
+ * @desc Shown in the detail header when no day was stored. %1 is the map name. Leave empty to hide it.
+ *
+ * @param firstMetDayText
+ * @text First Met Text (with Day)
+ * @parent dayVariable
+ * @type string
+ * @default First met: %1, Day %2
+ * @desc Used instead when a day was stored. %1 is the map name, %2 the day. Leave empty to hide it.
+ *
+ * @param languages
+ * @text Languages
+ * @type string[]
+ * @default []
+ * @desc Language codes used in Name[de]: / Details[de]: lines and UI Translations, e.g. de, fr. The plain lines are the default language.
+ *
+ * @param uiTranslations
+ * @text UI Translations
+ * @parent languages
+ * @type struct<PersonalTranslation>[]
+ * @default []
+ * @desc Menu texts per language. Texts that are not translated fall back to the parameters above.
+ *
+ * @param databaseFile
+ * @text NPC Database File
+ * @type string
+ * @default
+ * @desc Optional JSON file in the data/ folder with NPC definitions, e.g. Personals.json. Empty: no file is loaded.
+ *
+ * @param databaseNpcs
+ * @text NPC Database
+ * @type struct<PersonalNpc>[]
+ * @default []
+ * @desc NPC definitions kept in the plugin parameters instead of event comments.
+ *
+ * @param definitionPriority
+ * @text Definition Priority
+ * @type select
+ * @option Database wins
+ * @value database
+ * @option Event comments win
+ * @value comments
+ * @default database
+ * @desc Which source wins when the same NPC ID is defined both in the database and in event comments.
+ *
+ * @param debugMenuText
+ * @text Debug Menu Command
+ * @type string
+ * @default Personals (Debug)
+ * @desc Main menu command that opens the NPC debug scene. Only shown during playtests; leave empty to hide it.
+ *
+ * @command SetPersonalMenu
+ * @text Enable / Disable Menu
+ * @desc Shows or hides the Personals menu command.
+ *
+ * @arg enabled
+ * @text Enabled
+ * @type boolean
+ * @on Enable
+ * @off Disable
+ * @default true
+ *
+ * @command AddPersonalToList
+ * @text Add NPCs
+ * @desc Adds or updates NPCs. With an empty list, adds the NPCs defined in this event's comments.
+ *
+ * @arg ids
+ * @text NPC IDs
+ * @type string[]
+ * @default []
+ *
+ * @command RemovePersonalFromList
+ * @text Remove NPCs
+ * @desc Removes NPCs. With an empty list, removes the NPCs defined in this event's comments.
+ *
+ * @arg ids
+ * @text NPC IDs
+ * @type string[]
+ * @default []
+ *
+ * @command SetPersonalSection
+ * @text Reveal / Hide Sections
+ * @desc Unlocks or locks named Details[section] parts of an NPC.
+ *
+ * @arg id
+ * @text NPC ID
+ * @type string
+ *
+ * @arg sections
+ * @text Sections
+ * @type string[]
+ * @default []
+ *
+ * @arg revealed
+ * @text Revealed
+ * @type boolean
+ * @on Reveal
+ * @off Hide
+ * @default true
+ *
+ * @command ChangePersonalAffinity
+ * @text Change Affinity
+ * @desc Adds to or subtracts from an NPC's affinity.
+ *
+ * @arg id
+ * @text NPC ID
+ * @type string
+ *
+ * @arg amount
+ * @text Amount
+ * @type number
+ * @min -999999
+ * @default 0
+ *
+ * @command SetPersonalAffinity
+ * @text Set Affinity
+ * @desc Sets an NPC's affinity.
+ *
+ * @arg id
+ * @text NPC ID
+ * @type string
+ *
+ * @arg value
+ * @text Value
+ * @type number
+ * @min -999999
+ * @default 0
+ *
+ * @command AddPersonalNote
+ * @text Add Journal Entry
+ * @desc Adds Note[key] entries of an NPC in the list to its journal.
+ *
+ * @arg id
+ * @text NPC ID
+ * @type string
+ *
+ * @arg keys
+ * @text Note Keys
+ * @type string[]
+ * @default []
+ *
+ * @command RemovePersonalNote
+ * @text Remove Journal Entry
+ * @desc Removes entries from an NPC's journal.
+ *
+ * @arg id
+ * @text NPC ID
+ * @type string
+ *
+ * @arg keys
+ * @text Note Keys
+ * @type string[]
+ * @default []
+ *
+ * @command SetPersonalLanguage
+ * @text Set Language
+ * @desc Chooses the language of menu texts and NPC definitions. Empty = default language.
+ *
+ * @arg language
+ * @text Language Code
+ * @type string
+ *
+ * @command LogPersonalInteraction
+ * @text Log Interaction
+ * @desc Counts a conversation with NPCs in the list. With an empty list, uses the NPCs defined in this event's comments.
+ *
+ * @arg ids
+ * @text NPC IDs
+ * @type string[]
+ * @default []
  *
  * @help
+ * Works in RPG Maker MV and MZ. In MZ the commands below are available in
+ * the Plugin Command editor (Enable / Disable Menu and Reveal / Hide
+ * Sections are single commands with a toggle); the MV text commands keep
+ * working there as well.
  *
  * === Plugin Commands ===
  * EnablePersonalMenu
@@ -31,15 +639,106 @@
  * AddPersonalToList
  *     Adds all NPCs defined in the current event’s comments to the list.
  * AddPersonalToList <id1> <id2> …
- *     Finds the NPCs with the given IDs across all events and adds or updates them.
+ *     Finds the NPCs with the given IDs anywhere in the project (every event
+ *     page of every map, and Common Events) and adds or updates them.
  * RemovePersonalFromList
  *     Removes all NPCs defined in the current event’s comments.
  * RemovePersonalFromList <id1> <id2> …
  *     Removes the NPCs with the given IDs from the list.
+ * RevealPersonalSection <id> <section> <section> …
+ *     Unlocks the named Details[section] parts of an NPC already in the list.
+ * HidePersonalSection <id> <section> <section> …
+ *     Locks the named sections again.
+ * ChangePersonalAffinity <id> <amount>
+ *     Adds to (e.g. +5) or subtracts from (e.g. -3) an NPC's affinity.
+ * SetPersonalAffinity <id> <value>
+ *     Sets an NPC's affinity.
+ * AddPersonalNote <id> <noteKey> <noteKey> …
+ *     Adds the NPC's Note[noteKey] texts to its journal, dated with the
+ *     current day / play time. An entry that is already there is not added
+ *     twice.
+ * RemovePersonalNote <id> <noteKey> <noteKey> …
+ *     Removes entries from the NPC's journal.
+ * SetPersonalLanguage <code>
+ *     Chooses the language (one of "Languages"); without a code the default
+ *     language is used again. The choice is kept in the game's config file.
+ * LogPersonalInteraction
+ * LogPersonalInteraction <id1> <id2> …
+ *     Counts a conversation with the NPCs (those of the current event's
+ *     comments without IDs). Only NPCs already in the list are counted.
  *
  * === Script Calls ===
  * $gameSystem.isPersonalAdded(<id>)
  *     Returns true if the NPC with the given ID is currently in the player’s list.
+ * $gameSystem.isPersonalSectionRevealed(<id>, <section>)
+ *     Returns true if the given detail section of the NPC has been unlocked.
+ * $gameSystem.personalUnreadCount()
+ *     Number of entries marked "new" or "updated".
+ * $gameSystem.personalEntry(<id>)
+ *     The NPC as the menu shows it (name, category, notes, … and its saved
+ *     state in "entry"), or null if it is not in the list.
+ * $gameSystem.personalEntries(<filter>)
+ * $gameSystem.personalCount(<filter>)
+ *     NPCs in the list, in the order they were added, and their number. The
+ *     filter is optional: a function, e.g. item => item.entry.unread, or
+ *     field values, e.g. { category: "Guard" }.
+ * $gameSystem.addPersonal(<id>)
+ * $gameSystem.addPersonal({ id, name, category, faceName, faceIndex, … })
+ *     Same as AddPersonalToList. An object in the format of Personals.json
+ *     (see NPC Database) needs no event comment; it is kept in the save, and
+ *     for a defined ID its fields replace the defined ones.
+ * $gameSystem.updatePersonal(<id>, { notes: "…", category: "…", … })
+ *     Changes single fields of an NPC in the list for this save. Empty values
+ *     leave a field unchanged, null clears it (e.g. { hint: null }), and
+ *     variants replace the saved ones. A new description marks the NPC
+ *     "updated".
+ * $gameSystem.removePersonal(<id>)
+ *     Same as RemovePersonalFromList.
+ * $gameSystem.clearPersonals()
+ *     Removes every NPC from the list.
+ *     All of these fire the same callbacks and Event Reactions as the plugin
+ *     commands.
+ * $gameSystem.personalCompletion(<category>)
+ *     How many of the defined NPCs are in the list, overall or (with a
+ *     category) in one category: { found, total, percent }
+ * $gameSystem.personalAffinity(<id>)
+ *     Current affinity of the NPC (null if not in the list).
+ * $gameSystem.personalAffinityRank(<id>)
+ *     Label of the NPC's current affinity rank.
+ * $gameSystem.personalHistory(<id>)
+ *     Where and when the NPC was met (null if not in the list):
+ *       { firstMet, lastMet, interactions, lastInteraction }
+ *     firstMet, lastMet and lastInteraction are
+ *       { mapId, mapName, eventId, playtime, day }
+ *     with the play time in seconds and day null without a Day Variable.
+ * $gameSystem.personalInteractionCount(<id>)
+ *     How often LogPersonalInteraction counted the NPC.
+ * $gameSystem.personalNotes(<id>)
+ *     Journal entries of the NPC, newest first:
+ *       [{ key, text, mapName, playtime, day }, …]
+ * $gameSystem.addPersonalNote(<id>, <noteKey>)
+ * $gameSystem.removePersonalNote(<id>, <noteKey>)
+ *     Same as the plugin commands.
+ * $gameSystem.changePersonalAffinity(<id>, <amount>)
+ * $gameSystem.setPersonalAffinity(<id>, <value>)
+ *     Same as the plugin commands; the result is clamped to the bounds.
+ * $gameSystem.onPersonalAdded(<id>, id => { … })
+ * $gameSystem.onPersonalRemoved(<id>, id => { … })
+ * $gameSystem.onPersonalUpdated(<id>, id => { … })
+ * $gameSystem.onPersonalRankChanged(<id>, (id, rank, oldRank) => { … })
+ *     Callbacks for one NPC; pass "*" as the ID to hear about every NPC.
+ *     "Updated" fires when AddPersonalToList runs again for an NPC whose
+ *     description changed, updatePersonal changes it or a journal note is
+ *     added. Each method returns the callback.
+ * $gameSystem.onPersonalEvent(<event>, <id>, callback)
+ *     Same, with the event name: "added", "removed", "updated" or "rank".
+ * $gameSystem.offPersonalEvent(callback)
+ *     Removes a callback again.
+ *
+ * Callbacks are code, so they are not part of the save file: register them
+ * from a plugin at startup. To react without script code, use the "Event
+ * Reactions" parameter – it runs a Common Event, sets a switch and/or stores
+ * the NPC ID in a variable, and keeps working after loading a save.
  *
  * === NPC Definition in Event Comments ===
  * In order for AddPersonalToList to pick up an NPC, your event page must include comment lines like this:
@@ -50,15 +749,254 @@
  *   Category: Bartender
  *   Face: Actor1, 3
  *   Icon: 1,2,3 (max 3 icons)
+ *   Hint: Runs the inn by the harbour.
  *   Details: John has served travelers for years,
  *            and always has a story to tell.
  *
+ * The Hint: line is only shown in the "???" row of an NPC that has not been
+ * added yet (see "Show Undiscovered NPCs").
+ *
  * You can split a single NPC’s data across multiple comment blocks if you run out of space.
  * Just make sure each block begins with both:
  *   Type: NPC
  *   ID: <same NPC ID>
  *
  * The order of lines doesn’t matter, but “Type: NPC” and “ID:” must be present in each block.
+ *
+ * === Portraits ===
+ * Instead of the face, an NPC can show a larger image from img/pictures:
+ *   Portrait: Bust_John
+ *   Portrait: Bust_John, 20, -10, 0.8
+ * The optional numbers are an X / Y offset in pixels and a scale. The image
+ * is aligned to the bottom of the detail area, either over the details text
+ * (right edge) or centred in a column of its own (see "Portrait Layout"),
+ * and is cut off at the edges of that area. NPCs without a portrait show
+ * their face in the header as before. In Personals.json write
+ *   "portrait": "Bust_John"  or
+ *   "portrait": { "name": "Bust_John", "x": 20, "y": -10, "scale": 0.8 }
+ *
+ * === New / Updated Badges ===
+ * An NPC added to the list is marked "new" until the player opens it. When
+ * AddPersonalToList runs again for an NPC whose description text changed
+ * since the player last read it (a patched bio, a newly revealed section …),
+ * the entry is marked "updated". The main menu command shows the number of
+ * unread entries (see "Unread Menu Format").
+ *
+ * === Sorting ===
+ * Inside the menu the "Sort Key" cycles between these modes:
+ *   Default  – by the "Order:" field, then in the order the NPCs were met
+ *   Name     – alphabetical
+ *   Category – by category tab order, then by name
+ *   Recent   – most recently met (or re-added) first
+ * The chosen mode is stored in the save file. Example Order line:
+ *   Order: 10
+ *
+ * === Search ===
+ * The "Search Key" opens a name input window above the list. The list is
+ * filtered while typing and keeps only the NPCs whose name or category
+ * (and, with "Search In Details", visible details text) contains the search
+ * text; upper and lower case are treated the same. Type on the keyboard
+ * (Backspace deletes, Space and Enter confirm) or use the character grid.
+ * OK keeps the filter; cancel deletes the last character and, with an
+ * empty text, leaves the search and clears the filter.
+ *
+ * === Mouse and Touch ===
+ * A tap (or click) on a list entry opens it. Long details are paged with the
+ * ◀ ▶ arrows in the bottom line, the mouse wheel, or a horizontal swipe.
+ * A right click, or a tap outside the detail windows, returns to the list.
+ *
+ * === Layout ===
+ * "List Width", "List Columns", "Header Height", "List On The Right" and
+ * "Show Title Window" change the automatic layout. "Window Styles" set the
+ * position and size ("x, y, width, height"; empty parts stay automatic),
+ * the opacity and the windowskin (img/system) of single windows.
+ * "Background Image" (img/pictures) replaces the blurred map behind the menu.
+ *
+ * "List Row Style" adds the NPC's first icon, a face thumbnail or the
+ * category line to the list rows. "List Row Color" colours the names by
+ * "Category Colors" or by the "List Color" of the NPC's affinity rank.
+ *
+ * === Map Notifications ===
+ * With "Notify When Added" (and the Updated / Removed switches below it), a
+ * notification with the NPC's face slides in on the map whenever the list
+ * changes, e.g. "New contact: John, the Innkeeper". Several changes at once
+ * are shown one after another.
+ *
+ * === Category Tabs ===
+ * The list can be filtered by the "Category:" of the NPCs. The tabs are built
+ * from the categories present in the list, plus an "All" tab. Use
+ * "Category Tab Order" to decide which categories come first.
+ *
+ * Name, Category and Details support the usual message escape codes, e.g.
+ * \C[n] (colour), \I[n] (icon), \V[n] (variable) and \N[n] (actor name).
+ *
+ * === Conditional Lines ===
+ * Any line of a block can depend on the game state by starting with
+ * [if <condition>]:
+ *
+ *   Category: Stranger
+ *   [if S:12] Category: Ally
+ *   Details: A quiet traveller.
+ *   [if V:5>=3] He told you about his home town.
+ *
+ * A conditional Name/Category/Face/Icon/Order line replaces the plain value
+ * while the condition holds; a conditional Details line is only shown then.
+ * Conditions: S:n (switch on), V:n (variable not 0), V:n>=x, V:n<=x, V:n>x,
+ * V:n<x, V:n=x, V:n!=x. Prefix with ! to negate, join with & for "and":
+ *   [if S:12 & !V:5>=3]
+ * Conditions are checked every time the menu is opened. In Personals.json
+ * conditional lines can be used inside "notes" and section texts, and field
+ * variants are written as "variants": [{ "if": "S:12", "category": "Ally" }].
+ *
+ * === Unlockable Detail Sections ===
+ * Besides the always visible "Details:", a block may contain named sections
+ * that stay hidden until RevealPersonalSection unlocks them:
+ *
+ *   Details[past]: John used to be a soldier.
+ *   Details[secret]: He still keeps his old sword
+ *                    under the counter.
+ *
+ * Locked sections are shown as "???" (see "Locked Section Text"). Section
+ * names are not case sensitive. In Personals.json use
+ *   "sections": [{ "key": "secret", "text": "..." }]
+ *
+ * === Languages ===
+ * List the language codes in "Languages" (e.g. de, fr). Any text line of a
+ * block can then be given per language; plain lines are the default:
+ *
+ *   Name: John, the Innkeeper
+ *   Name[de]: John, der Wirt
+ *   Category[de]: Wirt
+ *   Details[de]: John bewirtet seit Jahren Reisende.
+ *   Details[secret:de]: Er versteckt ein Schwert unter der Theke.
+ *   Note[daughter:de]: Hat ihm geholfen, seine Tochter zu finden.
+ *
+ * Details[de] is a translation because "de" is listed in "Languages";
+ * anything else in brackets is a section name. The language is picked when
+ * the menu is drawn; fields without a translation use the default text.
+ * Menu texts are translated in "UI Translations", one "parameter: text" line
+ * per text, using the parameter names, e.g.
+ *   menuTitle: Personen
+ *   sortText: Sortierung: %1
+ *   Rank[Friendly]: Freundlich
+ * The debug scene has no parameters for its texts; translate debugHelpText,
+ * debugProblemsText, debugNpcText, debugNoIdText and debugNoProblemsText
+ * here if needed.
+ * In Personals.json write
+ *   "translations": { "de": { "name": "...", "notes": "...",
+ *                             "sections": [...], "journal": [...] } }
+ *
+ * === Details Text ===
+ * Every comment line of Details: starts a new line in the menu, and an empty
+ * continuation line starts a new paragraph. Longer lines are wrapped at
+ * spaces; Japanese, Chinese and Korean text is wrapped between any two
+ * characters. "Details View" shows long texts in pages or as one smoothly
+ * scrolling text.
+ *
+ * === Journal ===
+ * Note[key]: lines define journal entries that are added later with
+ * AddPersonalNote, e.g. "AddPersonalNote 1 daughter" for
+ *
+ *   Note[daughter]: Helped him find his daughter
+ *                   in the old mine.
+ *
+ * Added entries are stored in the save file with their date and are listed
+ * newest first on a second "Journal" tab of the detail view. The tabs are
+ * switched with Page Up / Page Down (Q / W) or by tapping them; left / right
+ * turn the pages. Adding an entry marks the NPC as "updated" and fires the
+ * "updated" event. In Personals.json use
+ *   "journal": [{ "key": "daughter", "text": "..." }]
+ *
+ * At startup every NPC block in the project is indexed: all event pages of
+ * every map (not only the active one) and all Common Events.
+ *
+ * === NPC Database ===
+ * NPCs can also be defined without event comments, either in the "NPC
+ * Database" plugin parameter or in a file such as data/Personals.json; set
+ * "NPC Database File" to its name. The file holds an array of objects with
+ * the same fields the comment blocks produce:
+ *
+ *   [
+ *     {
+ *       "id": "1",
+ *       "name": "John, the Innkeeper",
+ *       "category": "Bartender",
+ *       "faceName": "Actor1",
+ *       "faceIndex": 3,
+ *       "iconIndexes": [1, 2, 3],
+ *       "notes": "John has served travelers for years,\nand always has a story to tell."
+ *     }
+ *   ]
+ *
+ * "notes" may also be an array of lines. Entries in Personals.json are
+ * applied after the plugin parameter list, so the file wins between those two.
+ *
+ * When the same ID exists both in the database and in event comments, the
+ * two definitions are merged field by field. Fields set in the source chosen
+ * by "Definition Priority" win; fields it leaves empty are taken from the
+ * other source.
+ *
+ * === Checking Definitions ===
+ * During a playtest every definition is checked once the index is built.
+ * Problems are written to the console (F8 in MV, F12 in MZ):
+ *  • blocks without Name: or ID:, and database entries without an id
+ *  • the same ID in more than one event or database entry, and fields
+ *    those definitions set differently
+ *  • unknown keys and languages, Note[de]: without a note key, more than
+ *    3 icons
+ *  • conditions other than S:n and V:n in [if …] lines and variants
+ *  • missing face and portrait images, face indexes outside 0-7 and icon
+ *    indexes outside the IconSet
+ *  • NPCs no AddPersonalToList command adds (script calls are not checked)
+ * The "Debug Menu Command" opens a scene that lists every NPC with its
+ * problems; OK adds or removes the selected NPC.
+ *
+ * === Version 1.3 ===
+ *
+ * Changelog:
+ *  • AddPersonalToList <id> now looks the ID up in a project-wide index, so
+ *    NPCs on other maps or on inactive event pages can be added.
+ *  • NPCs can be defined in data/Personals.json or in the plugin parameters.
+ *  • RPG Maker MZ support in the same file, with Plugin Command metadata.
+ *  • Event API: wildcard ("*") listeners, "updated" events, offPersonalEvent,
+ *    and Event Reactions (Common Event / switch / variable) in the parameters.
+ *  • [if S:n] / [if V:n>=x] conditions on any definition line.
+ *  • Affinity per NPC, with a gauge and rank labels in the detail view.
+ *  • "New" / "updated" badges and an unread counter on the menu command.
+ *  • Category tabs above the list.
+ *  • Sort modes (Order: field, name, category, recently met) on the Sort Key.
+ *  • Name search inside the menu, opened with the Search Key.
+ *  • Portrait: images from img/pictures, over the details or in a column.
+ *  • Meeting history: map, event, play time and day of the first and latest
+ *    meeting, LogPersonalInteraction, and "First met" in the detail header.
+ *  • Every menu text is a parameter (the page label was hard-coded), with
+ *    UI Translations, Name[de]: / Details[de]: lines and SetPersonalLanguage.
+ *  • Layout parameters: list width and columns, header height, list side,
+ *    hidden title, background image, and per-window position, size,
+ *    opacity and windowskin.
+ *  • List row styles (icon, face thumbnail, name and category) and name
+ *    colours by category or affinity rank.
+ *  • Undiscovered NPCs as "???" rows with a Hint: line, and completion
+ *    (overall and per category) in the title, the tabs and a script call.
+ *  • Map notifications when NPCs are added, updated or removed, with face,
+ *    SE, duration and position parameters.
+ *  • Details keep their line breaks and blank-line paragraphs, CJK text is
+ *    wrapped per character, and "Details View" adds a scrolling view.
+ *  • Playtest-only definition checks in the console and a debug scene that
+ *    lists every NPC with its problems and adds or removes it.
+ *  • Script API: personalEntry, personalEntries, personalCount, addPersonal
+ *    (also from a plain object), updatePersonal, removePersonal and
+ *    clearPersonals, with the same events as the plugin commands.
+ *  • Journal: Note[key]: texts added with AddPersonalNote, listed newest
+ *    first on a second tab of the detail view.
+ *  • Mouse and touch: tap to open, clickable page arrows, wheel and swipe
+ *    paging, right click or tap outside to go back.
+ *  • Escape codes (\C, \I, \V, \N …) work in Name, Category and Details.
+ *  • Details[section]: parts that are unlocked with RevealPersonalSection.
+ *  • Saves only store the NPC IDs. Names, faces and details always come from
+ *    the current definitions, so corrected texts show up in old saves too.
+ *    Saves made with v1.2 are converted automatically when loaded.
+ *
  * === Version 1.2 ===
  *
  * Changelog:
@@ -70,96 +1008,1841 @@
  *    in the current event page, even if no ID is supplied.
  */
 
+/*~struct~PersonalReaction:
+ * @param event
+ * @text Event
+ * @type select
+ * @option Added to the list
+ * @value added
+ * @option Removed from the list
+ * @value removed
+ * @option Details updated
+ * @value updated
+ * @option Affinity rank changed
+ * @value rank
+ * @default added
+ *
+ * @param npcId
+ * @text NPC ID
+ * @type string
+ * @desc Only react to this NPC. Leave empty to react to every NPC.
+ *
+ * @param rank
+ * @text Rank Label
+ * @type string
+ * @desc Rank events only: react only when this rank is reached. Leave empty for any rank.
+ *
+ * @param commonEvent
+ * @text Common Event
+ * @type common_event
+ * @default 0
+ *
+ * @param switchId
+ * @text Switch
+ * @type switch
+ * @default 0
+ *
+ * @param switchValue
+ * @text Switch Value
+ * @type boolean
+ * @on ON
+ * @off OFF
+ * @default true
+ *
+ * @param idVariable
+ * @text NPC ID Variable
+ * @type variable
+ * @default 0
+ * @desc Receives the ID of the NPC (right before the Common Event runs, if one is set).
+ */
+
+/*~struct~PersonalWindowStyle:
+ * @param window
+ * @text Window
+ * @type select
+ * @option Title
+ * @value title
+ * @option Category Tabs
+ * @value category
+ * @option NPC List
+ * @value list
+ * @option Detail Header
+ * @value header
+ * @option Details
+ * @value details
+ * @option Portrait Column
+ * @value portrait
+ * @default list
+ *
+ * @param rect
+ * @text Position and Size
+ * @type string
+ * @desc "x, y, width, height" in pixels. Empty parts keep the automatic value, e.g. ", , 400" only changes the width.
+ *
+ * @param opacity
+ * @text Opacity
+ * @type number
+ * @max 255
+ * @desc Opacity of the window frame and background (0-255). Empty = default.
+ *
+ * @param windowskin
+ * @text Windowskin
+ * @type file
+ * @dir img/system/
+ * @desc Empty = the game's windowskin.
+ */
+
+/*~struct~PersonalAffinityRank:
+ * @param min
+ * @text Minimum Affinity
+ * @type number
+ * @min -999999
+ * @default 0
+ *
+ * @param label
+ * @text Rank Label
+ * @type string
+ *
+ * @param color
+ * @text List Color
+ * @type number
+ * @max 31
+ * @desc Text colour (\C[n] number) of the NPC's name in the list when List Row Color is "By affinity rank". Empty = normal.
+ */
+
+/*~struct~PersonalCategoryColor:
+ * @param category
+ * @text Category
+ * @type string
+ *
+ * @param color
+ * @text Color
+ * @type number
+ * @max 31
+ * @default 0
+ * @desc Text colour (\C[n] number) of the names in this category.
+ */
+
+/*~struct~PersonalNpc:
+ * @param id
+ * @text ID
+ * @type string
+ *
+ * @param name
+ * @text Name
+ * @type string
+ *
+ * @param category
+ * @text Category
+ * @type string
+ *
+ * @param hint
+ * @text Hint
+ * @type string
+ * @desc Shown in the "???" row while the NPC has not been added (Show Undiscovered NPCs).
+ *
+ * @param faceName
+ * @text Face File
+ * @type file
+ * @dir img/faces
+ * @require 1
+ *
+ * @param faceIndex
+ * @text Face Index
+ * @type number
+ * @min 0
+ * @max 7
+ * @default 0
+ *
+ * @param iconIndexes
+ * @text Icons
+ * @type string
+ * @desc Up to 3 icon indexes separated by commas, e.g. 1,2,3
+ *
+ * @param portraitName
+ * @text Portrait File
+ * @type file
+ * @dir img/pictures
+ * @require 1
+ *
+ * @param portraitX
+ * @text Portrait X Offset
+ * @parent portraitName
+ * @type number
+ * @min -9999
+ * @default 0
+ *
+ * @param portraitY
+ * @text Portrait Y Offset
+ * @parent portraitName
+ * @type number
+ * @min -9999
+ * @default 0
+ *
+ * @param portraitScale
+ * @text Portrait Scale
+ * @parent portraitName
+ * @type number
+ * @decimals 2
+ * @min 0.01
+ * @default 1.00
+ *
+ * @param notes
+ * @text Details
+ * @type note
+ */
+
+/*~struct~PersonalTranslation:
+ * @param language
+ * @text Language Code
+ * @type string
+ * @desc One of the codes in "Languages", e.g. de
+ *
+ * @param texts
+ * @text Texts
+ * @type note
+ * @default ""
+ * @desc One "parameter: text" line per translated text, e.g. menuTitle: Personen
+ */
+
 (() => {
   const pluginName = "Personallist";
+  const IS_MZ = Utils.RPGMAKER_NAME === "MZ";
   const parameters = PluginManager.parameters(pluginName);
-  const PERSONAL_MENU_NAME = parameters["menuTitle"] || "Personals";
   const enableInitial = parameters["enableInitial"] === "true";
   const openMenuKey = (parameters["openMenuKey"] || "q").toLowerCase();
   const PERSONAL_KEY = "personalMenu";
+  const PERSONAL_SORT_KEY = "personalSort";
+  const PERSONAL_SEARCH_KEY = "personalSearch";
+  const sortKey = (parameters["sortKey"] || "shift").toLowerCase();
+  const SORT_MODES = ["order", "name", "category", "recent"];
+  const defaultSortMode = parameters["defaultSortMode"] || "order";
+  const searchKey = (parameters["searchKey"] || "tab").toLowerCase();
+  const searchDetails = parameters["searchDetails"] === "true";
+  const SEARCH_MAX_LENGTH = 16;
+  const detailsView = parameters["detailsView"] || "paged";
+  const portraitLayout = parameters["portraitLayout"] || "overlay";
+  const portraitColumnWidth = Number(parameters["portraitColumnWidth"] || 240);
+  const listWidth = Number(parameters["listWidth"] || 300);
+  const listColumns = Math.max(1, Number(parameters["listColumns"] || 1));
+  const listRowStyle = parameters["listRowStyle"] || "name";
+  const listRowColor = parameters["listRowColor"] || "none";
+  const categoryColors = {};
+  JSON.parse(parameters["categoryColors"] || "[]").forEach((json) => {
+    const entry = JSON.parse(json);
+    categoryColors[(entry.category || "").trim()] = Number(entry.color || 0);
+  });
+  const headerLines = Math.max(1, Number(parameters["headerLines"] || 3));
+  const swapSides = parameters["swapSides"] === "true";
+  const showTitle = parameters["showTitle"] !== "false";
+  const backgroundImage = parameters["backgroundImage"] || "";
+  const dayVariable = Number(parameters["dayVariable"] || 0);
+  const databaseFile = (parameters["databaseFile"] || "").trim();
+  const definitionPriority = parameters["definitionPriority"] || "database";
+  const debugMenuText =
+    parameters["debugMenuText"] === undefined
+      ? "Personals (Debug)"
+      : parameters["debugMenuText"];
+  const badgeIcons = {
+    new: Number(parameters["newBadgeIcon"] || 0),
+    updated: Number(parameters["updatedBadgeIcon"] || 0),
+  };
+  const showAffinity = parameters["showAffinity"] === "true";
+  const affinityMin = Number(parameters["affinityMin"] || -100);
+  const affinityMax = Number(parameters["affinityMax"] || 100);
+  const affinityInitial = Number(parameters["affinityInitial"] || 0);
+  const affinityRanks = JSON.parse(parameters["affinityRanks"] || "[]")
+    .map((json) => JSON.parse(json))
+    .map((rank) => ({
+      min: Number(rank.min || 0),
+      label: rank.label || "",
+      color: rank.color ? Number(rank.color) : null,
+    }))
+    .sort((a, b) => a.min - b.min);
+  const showUndiscovered = parameters["showUndiscovered"] === "true";
+  const toastEvents = {
+    added: parameters["toastAdded"] === "true",
+    updated: parameters["toastUpdated"] === "true",
+    removed: parameters["toastRemoved"] === "true",
+  };
+  const toastSe = parameters["toastSe"] || "";
+  const toastDuration = Number(parameters["toastDuration"] || 150);
+  const toastPosition = parameters["toastPosition"] || "topRight";
+  const toastWidth = Number(parameters["toastWidth"] || 400);
+  const showCategoryTabs = parameters["showCategoryTabs"] !== "false";
+  const categoryOrder = JSON.parse(parameters["categoryOrder"] || "[]");
+  const languages = JSON.parse(parameters["languages"] || "[]").map((code) =>
+    code.trim().toLowerCase()
+  );
+
+  // ============================================================================
+  //  LOCALIZATION
+  // ============================================================================
+  // Menu texts by parameter name, in the default language. Translations from
+  // "UI Translations" are looked up when a text is drawn.
+  const uiTexts = {
+    menuTitle: parameters["menuTitle"] || "Personals",
+    sortText: parameters["sortText"] || "Sort: %1",
+    sortTextOrder: parameters["sortTextOrder"] || "Default",
+    sortTextName: parameters["sortTextName"] || "Name",
+    sortTextCategory: parameters["sortTextCategory"] || "Category",
+    sortTextRecent: parameters["sortTextRecent"] || "Recent",
+    searchText: parameters["searchText"] || "Search: %1",
+    newBadgeText: parameters["newBadgeText"] || "",
+    updatedBadgeText: parameters["updatedBadgeText"] || "",
+    unreadMenuFormat: parameters["unreadMenuFormat"] || "%1 (%2)",
+    affinityLabel: parameters["affinityLabel"] || "",
+    lockedSectionText: parameters["lockedSectionText"] || "???",
+    pageText: parameters["pageText"] || "Page %1/%2",
+    detailsTabText: parameters["detailsTabText"] || "Details",
+    journalTabText: parameters["journalTabText"] || "Journal",
+    journalDayText: parameters["journalDayText"] || "Day %1",
+    firstMetText:
+      parameters["firstMetText"] === undefined
+        ? "First met: %1"
+        : parameters["firstMetText"],
+    firstMetDayText:
+      parameters["firstMetDayText"] === undefined
+        ? "First met: %1, Day %2"
+        : parameters["firstMetDayText"],
+    allCategoryText: parameters["allCategoryText"] || "All",
+    undiscoveredText: parameters["undiscoveredText"] || "???",
+    toastAddedText: parameters["toastAddedText"] || "New contact: %1",
+    toastUpdatedText: parameters["toastUpdatedText"] || "Contact updated: %1",
+    toastRemovedText: parameters["toastRemovedText"] || "Contact removed: %1",
+    completionFormat:
+      parameters["completionFormat"] === undefined
+        ? "%1 (%2%)"
+        : parameters["completionFormat"],
+  };
+
+  // { de: { menuTitle: "Personen", … } }
+  const uiTranslations = {};
+  JSON.parse(parameters["uiTranslations"] || "[]").forEach((json) => {
+    const translation = JSON.parse(json);
+    const language = (translation.language || "").trim().toLowerCase();
+    const texts = (uiTranslations[language] = uiTranslations[language] || {});
+    JSON.parse(translation.texts || '""')
+      .split("\n")
+      .forEach((line) => {
+        const colon = line.indexOf(":");
+        if (colon > 0) {
+          texts[line.slice(0, colon).trim()] = line.slice(colon + 1).trim();
+        }
+      });
+  });
+
+  // The language is a player setting, so it lives in the config file.
+  const personalLanguage = () => ConfigManager.personalLanguage || "";
+
+  /**
+   * A menu text in the current language.
+   * @param {String} key parameter name, e.g. "sortText", or Rank[label]
+   * @param {String} [fallback] used for keys that are not parameters
+   * @param {String} [language] defaults to the current language
+   * @returns {String}
+   */
+  function uiText(key, fallback = "", language = personalLanguage()) {
+    const texts = uiTranslations[language];
+    if (texts && texts[key] !== undefined) return texts[key];
+    return uiTexts[key] !== undefined ? uiTexts[key] : fallback;
+  }
+
+  /**
+   * Applies the translation of the given language to definition fields.
+   * @param {Object} fields an NPC definition or one of its variants
+   * @param {String} language "" for the default language
+   * @returns {Object} a copy with translated fields, or `fields` itself
+   */
+  function localizeFields(fields, language) {
+    const translation =
+      language && fields.translations && fields.translations[language];
+    if (!translation) return fields;
+    return mergeNpcFields(Object.assign({}, fields), translation);
+  }
+
+  const _ConfigManager_makeData = ConfigManager.makeData;
+  ConfigManager.makeData = function () {
+    const config = _ConfigManager_makeData.call(this);
+    config.personalLanguage = this.personalLanguage || "";
+    return config;
+  };
+
+  const _ConfigManager_applyData = ConfigManager.applyData;
+  ConfigManager.applyData = function (config) {
+    _ConfigManager_applyData.call(this, config);
+    this.personalLanguage = String(config.personalLanguage || "");
+  };
+
+  // ============================================================================
+  //  DATA PROCUREMENT
+  // ============================================================================
+  const getPersonalList = function () {
+    if (!$gameSystem._personalList) {
+      $gameSystem._personalList = [];
+    }
+    return $gameSystem._personalList;
+  };
+
+  const blankNpcDefinition = () => ({
+    typeIsNPC: true,
+    id: "",
+    name: "",
+    category: "",
+    hint: "",
+    faceName: "",
+    faceIndex: 0,
+    iconIndexes: [],
+    portrait: null,
+    notes: "",
+    sections: [],
+    journal: [],
+    order: null,
+    variants: [],
+    translations: {},
+  });
+
+  // ============================================================================
+  //  CONDITIONAL LINES
+  // ============================================================================
+  // Any definition line may start with "[if <condition>]". Conditions are
+  // switches (S:12), variables (V:5, V:5>=3, V:5!=0 …), optionally negated with
+  // "!" and combined with "&". They are checked whenever an NPC is displayed.
+  const CONDITION_MARKER = /^\[if\s+([^\]]+)\]\s*/i;
+  const SWITCH_TERM = /^S:(\d+)$/i;
+  const VARIABLE_TERM = /^V:(\d+)\s*(?:(>=|<=|!=|==|=|>|<)\s*(-?\d+))?$/i;
+  // Unknown terms are reported by the validator; conditions set by script
+  // calls are not checked there, so a playtest warns once per term.
+  const warnedConditions = {};
+
+  /**
+   * @param {String} expression e.g. "S:12 & !V:3>=2"
+   * @returns {Boolean}
+   */
+  function evalPersonalCondition(expression) {
+    return String(expression)
+      .split("&")
+      .every((part) => {
+        let term = part.trim();
+        const negate = term.startsWith("!");
+        if (negate) term = term.slice(1).trim();
+
+        let result = false;
+        let match = SWITCH_TERM.exec(term);
+        if (match) {
+          result = $gameSwitches.value(Number(match[1]));
+        } else if ((match = VARIABLE_TERM.exec(term))) {
+          const value = $gameVariables.value(Number(match[1]));
+          const other = Number(match[3] || 0);
+          result = {
+            ">=": value >= other,
+            "<=": value <= other,
+            "!=": value !== other,
+            "==": value === other,
+            "=": value === other,
+            ">": value > other,
+            "<": value < other,
+          }[match[2] || "!="];
+        } else if (isPlaytest && !warnedConditions[term]) {
+          warnedConditions[term] = true;
+          console.warn(`${pluginName}: unknown condition "${term}"`);
+        }
+        return negate ? !result : result;
+      });
+  }
+
+  /**
+   * The terms of a condition that are neither S:n nor V:n comparisons.
+   * @param {String} expression e.g. "S:12 & !V:3>=2"
+   * @returns {String[]}
+   */
+  function unknownConditionTerms(expression) {
+    return String(expression)
+      .split("&")
+      .map((part) => part.trim().replace(/^!\s*/, ""))
+      .filter((term) => !SWITCH_TERM.test(term) && !VARIABLE_TERM.test(term));
+  }
+
+  // Drops the lines of a multi-line text whose condition is false.
+  function filterConditionalLines(text) {
+    return text
+      .split("\n")
+      .filter((line) => {
+        const marker = CONDITION_MARKER.exec(line);
+        return !marker || evalPersonalCondition(marker[1]);
+      })
+      .map((line) => line.replace(CONDITION_MARKER, ""))
+      .join("\n");
+  }
+
+  /**
+   * Applies the field variants whose condition holds and removes conditional
+   * detail lines that do not apply right now.
+   * @param {Object} item a copy of a definition; modified in place
+   * @param {String} [language] language of the variants' texts
+   * @returns {Object} the same item
+   */
+  function applyPersonalConditions(item, language = "") {
+    (item.variants || []).forEach((variant) => {
+      if (!evalPersonalCondition(variant.if)) return;
+      const {
+        if: condition,
+        translations,
+        ...fields
+      } = localizeFields(variant, language);
+      Object.assign(item, fields);
+    });
+    item.notes = filterConditionalLines(item.notes);
+    item.sections = item.sections.map((sec) => ({
+      key: sec.key,
+      text: filterConditionalLines(sec.text),
+    }));
+    item.journal = item.journal.map((note) => ({
+      key: note.key,
+      text: filterConditionalLines(note.text),
+    }));
+    return item;
+  }
+
+  /**
+   * Reads a portrait from "File, x, y, scale" or { name, x, y, scale }.
+   * @returns {Object|null} null without a file name
+   */
+  function parsePortrait(value) {
+    if (!value) return null;
+    const [name, x, y, scale] =
+      typeof value === "object"
+        ? [value.name, value.x, value.y, value.scale]
+        : String(value).split(",");
+    if (!name || !String(name).trim()) return null;
+    return {
+      name: String(name).trim(),
+      x: Number(x) || 0,
+      y: Number(y) || 0,
+      scale: Number(scale) || 1,
+    };
+  }
+
+  /**
+   * Reads every "Type: NPC" block of an event command list.
+   * @param {Object[]} list event commands
+   * @param {String} [wantedId] only return the block with this ID
+   * @param {Function} [report] called with (message, id) for every authoring
+   *   mistake found, see the definition validator
+   * @returns {Object[]} definitions with a name and an ID
+   */
+  function parseNpcBlocks(list, wantedId = null, report = null) {
+    const results = [];
+    let npc = null;
+    let readingNote = false;
+    let section = null;
+    let noteOwner = null;
+
+    const translationOf = (owner, language) => {
+      owner.translations = owner.translations || {};
+      owner.translations[language] = owner.translations[language] || {};
+      return owner.translations[language];
+    };
+
+    const pushCurrent = () => {
+      if (npc && npc.typeIsNPC && npc.name && npc.id) {
+        if (!wantedId || npc.id === wantedId) results.push({ ...npc });
+      } else if (npc && report) {
+        report(
+          `NPC block without ${npc.id ? "Name:" : "ID:"} is ignored`,
+          npc.id
+        );
+      }
+    };
+
+    list.forEach((cmd) => {
+      if (cmd.code !== 108 && cmd.code !== 408) {
+        readingNote = false;
+        return;
+      }
+      const raw = cmd.parameters[0].trim();
+      const marker = CONDITION_MARKER.exec(raw);
+      const line = marker ? raw.slice(marker[0].length) : raw;
+      const prefix = marker ? `[if ${marker[1].trim()}] ` : "";
+      // Conditional field lines are collected as variants of the NPC.
+      const target = marker ? {} : npc;
+      // "[de]" is a language, "[secret]" a section, "[secret:de]" both.
+      const bracket = /^\w+\[([^\]]+)\]:/.exec(line);
+      let key = bracket ? bracket[1].trim().toLowerCase() : "";
+      let language = "";
+      if (key.includes(":")) [key, language] = key.split(":");
+      else if (languages.includes(key)) [key, language] = ["", key];
+      const value = bracket ? line.slice(bracket[0].length).trim() : "";
+      if (npc && report && language && !languages.includes(language)) {
+        report(`"${language}" in "${bracket[0]}" is not in Languages`, npc.id);
+      }
+
+      if (line.startsWith("Type:") && line.includes("NPC")) {
+        pushCurrent();
+        npc = blankNpcDefinition();
+        readingNote = false;
+        section = null;
+        return;
+      }
+
+      if (!npc) return;
+
+      if (line.startsWith("ID:")) npc.id = line.slice(3).trim();
+      else if (line.startsWith("Name:")) target.name = line.slice(5).trim();
+      else if (line.startsWith("Category:"))
+        target.category = line.slice(9).trim();
+      else if (line.startsWith("Hint:")) target.hint = line.slice(5).trim();
+      else if (/^(Name|Category|Hint)\[/.test(line)) {
+        const field = line.slice(0, line.indexOf("[")).toLowerCase();
+        if (language) translationOf(target, language)[field] = value;
+        else if (report) {
+          report(`"${key}" in "${bracket[0]}" is not in Languages`, npc.id);
+        }
+      } else if (line.startsWith("Order:")) {
+        const order = parseFloat(line.slice(6));
+        target.order = isNaN(order) ? null : order;
+      } else if (line.startsWith("Face:")) {
+        const [fn, fi] = line.slice(5).split(",");
+        target.faceName = (fn || "").trim();
+        target.faceIndex = parseInt(fi || "0", 10);
+      } else if (line.startsWith("Portrait:")) {
+        target.portrait = parsePortrait(line.slice(9));
+      } else if (line.startsWith("Icon:")) {
+        const icons = line
+          .slice(5)
+          .split(",")
+          .map((s) => parseInt(s.trim(), 10))
+          .filter((n) => !isNaN(n));
+        if (icons.length > 3 && report) {
+          report(`${icons.length} icons, only the first 3 are shown`, npc.id);
+        }
+        target.iconIndexes = icons.slice(0, 3);
+      } else if (line.startsWith("Details:")) {
+        // A conditional Details line adds to the plain text before it.
+        const text = prefix + line.slice(8).trim();
+        npc.notes = marker && npc.notes ? `${npc.notes}\n${text}` : text;
+        noteOwner = npc;
+        readingNote = true;
+        section = null;
+      } else if (/^Details\[/.test(line) && bracket && !key) {
+        noteOwner = translationOf(npc, language);
+        const text = prefix + value;
+        noteOwner.notes =
+          marker && noteOwner.notes ? `${noteOwner.notes}\n${text}` : text;
+        readingNote = true;
+        section = null;
+      } else if (/^Note\[/.test(line) && bracket && !key) {
+        // A journal entry needs a key for AddPersonalNote.
+        if (report) {
+          report(
+            `"${bracket[0]}" has no note key, e.g. Note[name:${language}]:`,
+            npc.id
+          );
+        }
+        readingNote = false;
+        section = null;
+      } else if (/^(Details|Note)\[/.test(line) && bracket) {
+        const owner = language ? translationOf(npc, language) : npc;
+        const list = line.startsWith("Note") ? "journal" : "sections";
+        section = { key, text: prefix + value };
+        owner[list] = owner[list] || [];
+        owner[list].push(section);
+        readingNote = true;
+      } else if (readingNote) {
+        if (section) section.text += "\n" + raw;
+        else noteOwner.notes += "\n" + raw;
+      } else if (report && /^\w+(\[[^\]]*\])?:/.test(line)) {
+        report(`unknown key "${line.slice(0, line.indexOf(":"))}:"`, npc.id);
+      }
+
+      if (target !== npc && Object.keys(target).length) {
+        npc.variants.push({ if: marker[1].trim(), ...target });
+      }
+    });
+
+    pushCurrent();
+    return results;
+  }
+
+  // ============================================================================
+  //  PROJECT-WIDE NPC INDEX
+  // ============================================================================
+  // Every "Type: NPC" block of every map (all event pages) and every Common
+  // Event is parsed once at boot, so an ID can be resolved from anywhere.
+  // Definitions from the NPC database are merged in by ID afterwards.
+  let npcIndex = null;
+  let npcIndexPending = 0;
+  const npcIndexMaps = [];
+  let npcIndexCommon = [];
+  let npcIndexFile = [];
+  // Playtest only: the command lists the blocks came from, for the validator.
+  const npcSourceMaps = [];
+  let npcSourceCommon = [];
+
+  function loadDataJson(src, onLoad) {
+    const xhr = new XMLHttpRequest();
+    xhr.open("GET", "data/" + src);
+    xhr.overrideMimeType("application/json");
+    xhr.onload = () => {
+      let data = null;
+      if (xhr.status < 400 && xhr.responseText) {
+        try {
+          data = JSON.parse(xhr.responseText);
+        } catch (e) {
+          console.warn(`${pluginName}: could not parse data/${src}`, e);
+        }
+      }
+      onLoad(data);
+    };
+    xhr.onerror = () => onLoad(null);
+    xhr.send();
+  }
+
+  /**
+   * Parses the NPC blocks of several command lists.
+   * @param {Object[]} sources { list, where, owner } from eventPageLists or
+   *   the Common Events; `where` names the list in validator messages and
+   *   `owner` is the event it belongs to
+   * @returns {Object[]} definitions
+   */
+  function collectNpcBlocks(sources) {
+    const found = [];
+    sources.forEach((source) => {
+      if (!source.list) return;
+      const report = isPlaytest
+        ? (message, id) => reportDefinitionIssue(id, source.where, message)
+        : null;
+      source.npcs = parseNpcBlocks(source.list, null, report);
+      found.push(...source.npcs);
+    });
+    return found;
+  }
+
+  function eventPageLists(events, mapId) {
+    const sources = [];
+    (events || []).forEach((ev) => {
+      if (!ev || !ev.pages) return;
+      const owner = `Map ${mapId}, event ${ev.id} "${ev.name}"`;
+      ev.pages.forEach((page, i) => {
+        sources.push({
+          list: page.list,
+          where: `${owner}, page ${i + 1}`,
+          owner,
+        });
+      });
+    });
+    return sources;
+  }
+
+  /**
+   * Brings a database entry (Personals.json or plugin parameter) into the
+   * shape parseNpcBlocks produces.
+   * @param {Object} raw database entry
+   * @returns {Object|null} null when the entry has no ID
+   */
+  function normalizeNpcDefinition(raw) {
+    if (!raw || raw.id === undefined || raw.id === "") return null;
+    let icons = raw.iconIndexes || [];
+    if (!Array.isArray(icons)) icons = String(icons).split(",");
+    const joinLines = (text) =>
+      String((Array.isArray(text) ? text.join("\n") : text) || "");
+    // [{ key, text }] or { key: text }
+    const keyedTexts = (value) => {
+      const list = Array.isArray(value)
+        ? value
+        : Object.keys(value || {}).map((key) => ({ key, text: value[key] }));
+      return list
+        .filter((part) => part && part.key)
+        .map((part) => ({
+          key: String(part.key).trim().toLowerCase(),
+          text: joinLines(part.text),
+        }));
+    };
+    // { de: { name, category, notes, sections, journal } }
+    const translations = {};
+    Object.keys(raw.translations || {}).forEach((language) => {
+      const fields = raw.translations[language] || {};
+      translations[language.trim().toLowerCase()] = {
+        name: String(fields.name || "").trim(),
+        category: String(fields.category || "").trim(),
+        hint: String(fields.hint || "").trim(),
+        notes: joinLines(fields.notes),
+        sections: keyedTexts(fields.sections),
+        journal: keyedTexts(fields.journal),
+      };
+    });
+    return {
+      typeIsNPC: true,
+      id: String(raw.id).trim(),
+      name: String(raw.name || "").trim(),
+      category: String(raw.category || "").trim(),
+      hint: String(raw.hint || "").trim(),
+      faceName: String(raw.faceName || "").trim(),
+      faceIndex: parseInt(raw.faceIndex || 0, 10) || 0,
+      iconIndexes: icons
+        .map((n) => parseInt(n, 10))
+        .filter((n) => !isNaN(n))
+        .slice(0, 3),
+      portrait: parsePortrait(raw.portrait),
+      notes: joinLines(raw.notes),
+      order: isNaN(parseFloat(raw.order)) ? null : parseFloat(raw.order),
+      variants: Array.isArray(raw.variants)
+        ? raw.variants
+            .filter((variant) => variant && variant.if)
+            .map((variant) =>
+              Object.assign({}, variant, { if: String(variant.if) })
+            )
+        : [],
+      sections: keyedTexts(raw.sections),
+      journal: keyedTexts(raw.journal),
+      translations,
+    };
+  }
+
+  function parameterNpcDefinitions() {
+    try {
+      return JSON.parse(parameters["databaseNpcs"] || "[]").map((json) => {
+        const raw = JSON.parse(json);
+        raw.notes = raw.notes ? JSON.parse(raw.notes) : "";
+        raw.portrait = {
+          name: raw.portraitName,
+          x: raw.portraitX,
+          y: raw.portraitY,
+          scale: raw.portraitScale,
+        };
+        return raw;
+      });
+    } catch (e) {
+      console.warn(`${pluginName}: invalid NPC Database parameter`, e);
+      return [];
+    }
+  }
+
+  /**
+   * Copies every field that is actually set on `source` onto `target`.
+   * Empty strings and empty icon lists never overwrite existing data,
+   * detail sections and journal notes are merged by key, translations by
+   * language, and conditional variants are appended.
+   */
+  function mergeNpcFields(target, source) {
+    Object.keys(source).forEach((key) => {
+      const value = source[key];
+      if (value === "" || value === null || value === undefined) return;
+      if (Array.isArray(value) && !value.length) return;
+      if (key === "faceIndex" && !source.faceName) return;
+      if (key === "sections" || key === "journal") {
+        const merged = (target[key] || []).slice();
+        value.forEach((sec) => {
+          const at = merged.findIndex((other) => other.key === sec.key);
+          if (at >= 0) merged[at] = sec;
+          else merged.push(sec);
+        });
+        target[key] = merged;
+        return;
+      }
+      if (key === "variants") {
+        target.variants = (target.variants || []).concat(value);
+        return;
+      }
+      if (key === "translations") {
+        const merged = Object.assign({}, target.translations);
+        Object.keys(value).forEach((language) => {
+          merged[language] = mergeNpcFields(
+            Object.assign({}, merged[language]),
+            value[language]
+          );
+        });
+        target.translations = merged;
+        return;
+      }
+      target[key] = value;
+    });
+    return target;
+  }
+
+  function finishNpcIndexSource() {
+    if (--npcIndexPending > 0) return;
+    // Merge in a fixed order (maps by ID, then Common Events) so duplicate
+    // IDs resolve the same way no matter which file finished loading first.
+    const fromComments = {};
+    npcIndexMaps.concat([npcIndexCommon]).forEach((defs) => {
+      (defs || []).forEach((npc) => {
+        fromComments[npc.id] = mergeNpcFields(
+          fromComments[npc.id] || blankNpcDefinition(),
+          npc
+        );
+      });
+    });
+
+    const fromParameters = parameterNpcDefinitions();
+    const fromDatabase = {};
+    fromParameters
+      .concat(npcIndexFile)
+      .map(normalizeNpcDefinition)
+      .forEach((npc) => {
+        if (npc) {
+          fromDatabase[npc.id] = mergeNpcFields(
+            fromDatabase[npc.id] || {},
+            npc
+          );
+        }
+      });
+
+    const [low, high] =
+      definitionPriority === "comments"
+        ? [fromDatabase, fromComments]
+        : [fromComments, fromDatabase];
+    npcIndex = {};
+    [low, high].forEach((defs) => {
+      Object.keys(defs).forEach((id) => {
+        npcIndex[id] = mergeNpcFields(
+          npcIndex[id] || blankNpcDefinition(),
+          defs[id]
+        );
+      });
+    });
+    Object.keys(npcIndex).forEach((id) => {
+      if (!npcIndex[id].name) delete npcIndex[id];
+    });
+    if (isPlaytest) validateNpcDefinitions(fromParameters, npcIndexFile);
+
+    npcIndexMaps.length = 0;
+    npcIndexCommon = [];
+    npcIndexFile = [];
+    npcSourceMaps.length = 0;
+    npcSourceCommon = [];
+  }
+
+  function loadNpcIndex() {
+    if (npcIndex || npcIndexPending) return;
+    npcIndexPending = 2;
+
+    loadDataJson("MapInfos.json", (infos) => {
+      (infos || []).forEach((info) => {
+        if (!info) return;
+        npcIndexPending++;
+        loadDataJson("Map%1.json".format(info.id.padZero(3)), (map) => {
+          const sources = map ? eventPageLists(map.events, info.id) : [];
+          npcIndexMaps[info.id] = collectNpcBlocks(sources);
+          if (isPlaytest) npcSourceMaps[info.id] = sources;
+          finishNpcIndexSource();
+        });
+      });
+      finishNpcIndexSource();
+    });
+
+    loadDataJson("CommonEvents.json", (commonEvents) => {
+      const sources = (commonEvents || []).filter(Boolean).map((ce) => {
+        const where = `Common Event ${ce.id} "${ce.name}"`;
+        return { list: ce.list, where, owner: where };
+      });
+      npcIndexCommon = collectNpcBlocks(sources);
+      if (isPlaytest) npcSourceCommon = sources;
+      finishNpcIndexSource();
+    });
+
+    if (databaseFile) {
+      npcIndexPending++;
+      loadDataJson(databaseFile, (data) => {
+        npcIndexFile = Array.isArray(data) ? data : [];
+        finishNpcIndexSource();
+      });
+    }
+  }
+
+  const isNpcIndexReady = () => !!npcIndex;
+
+  /**
+   * Returns the indexed definition of an NPC, or null when no comment block
+   * anywhere in the project declares that ID.
+   * @param {String|Number} id NPC id
+   * @returns {Object|null}
+   */
+  function findNpcDefinition(id) {
+    const def = npcIndex && npcIndex[String(id)];
+    return def ? { ...def } : null;
+  }
+
+  // ============================================================================
+  //  DEFINITION VALIDATOR (playtest only)
+  // ============================================================================
+  // Authoring mistakes would otherwise only show up as "nothing happens", so
+  // during a playtest every definition is checked once the index is built.
+  // Problems go to the console and are listed in Scene_PersonalDebug.
+  const isPlaytest = Utils.isOptionValid("test");
+  const definitionIssues = [];
+
+  const DATABASE_KEYS = [
+    "id",
+    "name",
+    "category",
+    "hint",
+    "faceName",
+    "faceIndex",
+    "iconIndexes",
+    "portrait",
+    "portraitName",
+    "portraitX",
+    "portraitY",
+    "portraitScale",
+    "notes",
+    "order",
+    "variants",
+    "sections",
+    "journal",
+    "translations",
+  ];
+
+  // Fields two definitions of the same ID must not set differently.
+  const CONFLICT_FIELDS = {
+    Name: (npc) => npc.name,
+    Category: (npc) => npc.category,
+    Hint: (npc) => npc.hint,
+    Face: (npc) => (npc.faceName ? `${npc.faceName}, ${npc.faceIndex}` : ""),
+    Icon: (npc) => npc.iconIndexes.join(", "),
+    Order: (npc) => (npc.order === null ? "" : String(npc.order)),
+  };
+
+  /**
+   * Records a problem and writes it to the console.
+   * @param {String} id NPC id, "" when the block has none
+   * @param {String} where event page, Common Event or database entry
+   * @param {String} message
+   */
+  function reportDefinitionIssue(id, where, message) {
+    id = String(id || "");
+    definitionIssues.push({ id, where, message });
+    console.warn(
+      `${pluginName}: ${where}${id ? ` (NPC ${id})` : ""}: ${message}`
+    );
+  }
+
+  /**
+   * NPC IDs an event command list adds with AddPersonalToList, MV text and
+   * MZ commands alike.
+   * @param {Object[]} list event commands
+   * @param {String} where names the list in validator messages
+   * @returns {Object} { ids, ownNpcs }; ownNpcs is true when a command
+   *   without IDs adds the NPCs of the event that runs it
+   */
+  function addCommandTargets(list, where) {
+    const targets = { ids: [], ownNpcs: false };
+    (list || []).forEach((cmd) => {
+      let ids = null;
+      if (cmd.code === 356) {
+        const [command, ...args] = String(cmd.parameters[0]).split(" ");
+        if (command === "AddPersonalToList") ids = args.filter(Boolean);
+      } else if (
+        cmd.code === 357 &&
+        cmd.parameters[0] === pluginName &&
+        cmd.parameters[1] === "AddPersonalToList"
+      ) {
+        // The arguments may have been edited by hand.
+        try {
+          ids = JSON.parse((cmd.parameters[3] || {}).ids || "[]");
+        } catch (e) {
+          ids = null;
+        }
+        if (!Array.isArray(ids)) {
+          reportDefinitionIssue("", where, "AddPersonalToList has invalid IDs");
+          return;
+        }
+        ids = ids.filter(Boolean).map(String);
+      }
+      if (!ids) return;
+      targets.ids.push(...ids);
+      if (!ids.length) targets.ownNpcs = true;
+    });
+    return targets;
+  }
+
+  /**
+   * The URL of an unencrypted image file; names may contain subfolders.
+   * The checks only run in playtests, which use the unencrypted files.
+   * @param {String} folder e.g. "faces"
+   * @param {String} name file name without extension, e.g. "Town/Guard"
+   * @returns {String}
+   */
+  function imageFileUrl(folder, name) {
+    const file = name.split("/").map(encodeURIComponent).join("/");
+    return `img/${folder}/${file}.png`;
+  }
+
+  /**
+   * Checks every comment block and database entry after the index is built.
+   * Image and icon checks finish later, once the files are loaded.
+   * @param {Object[]} fromParameters entries of the "NPC Database" parameter
+   * @param {Object[]} fromFile entries of the NPC Database File
+   */
+  function validateNpcDefinitions(fromParameters, fromFile) {
+    // { kind, npc, where, owner } per comment block and database entry.
+    const definitions = [];
+    const addedBy = {};
+    const selfAdding = {};
+    npcSourceMaps.concat([npcSourceCommon]).forEach((sources) => {
+      // Without IDs the command adds the NPCs of the map event that runs it,
+      // so in a Common Event it does not add the Common Event's own blocks.
+      const isCommon = sources === npcSourceCommon;
+      (sources || []).forEach((source) => {
+        const targets = addCommandTargets(source.list, source.where);
+        targets.ids.forEach((id) => {
+          addedBy[id] = addedBy[id] || source.where;
+        });
+        if (targets.ownNpcs && !isCommon) selfAdding[source.owner] = true;
+        (source.npcs || []).forEach((npc) => {
+          const { where, owner } = source;
+          definitions.push({ kind: "comments", npc, where, owner });
+        });
+      });
+    });
+
+    fromParameters.concat(fromFile).forEach((raw, i) => {
+      const where =
+        i < fromParameters.length
+          ? `NPC Database #${i + 1}`
+          : `${databaseFile} #${i - fromParameters.length + 1}`;
+      const npc = normalizeNpcDefinition(raw);
+      if (!npc) {
+        if (raw)
+          reportDefinitionIssue("", where, "entry without an id is ignored");
+        return;
+      }
+      Object.keys(raw)
+        .filter((key) => !DATABASE_KEYS.includes(key))
+        .forEach((key) =>
+          reportDefinitionIssue(npc.id, where, `unknown key "${key}"`)
+        );
+      if (!npcIndex[npc.id]) {
+        reportDefinitionIssue(npc.id, where, "has no name and is ignored");
+      }
+      definitions.push({ kind: "database", npc, where, owner: where });
+    });
+
+    // The same ID in several events (pages of one event may repeat it) or
+    // several database entries.
+    const groups = {};
+    definitions.forEach((def) => {
+      const group = `${def.kind}:${def.npc.id}`;
+      (groups[group] = groups[group] || []).push(def);
+    });
+    Object.keys(groups).forEach((group) => {
+      const defs = groups[group];
+      const { id } = defs[0].npc;
+      const owners = defs
+        .map((def) => def.owner)
+        .filter((owner, i, all) => all.indexOf(owner) === i);
+      if (owners.length < 2) return;
+      const others = owners.slice(1).join("; ");
+      reportDefinitionIssue(id, defs[0].where, `ID also defined in ${others}`);
+      Object.keys(CONFLICT_FIELDS).forEach((field) => {
+        const seen = [];
+        defs.forEach((def) => {
+          const value = CONFLICT_FIELDS[field](def.npc);
+          if (!value) return;
+          const other = seen.find(
+            (prev) => prev.value !== value && prev.owner !== def.owner
+          );
+          if (other) {
+            reportDefinitionIssue(
+              id,
+              def.where,
+              `${field} "${value}" conflicts with "${other.value}" in ${other.where}`
+            );
+          }
+          seen.push({ value, owner: def.owner, where: def.where });
+        });
+      });
+    });
+
+    // Conditions of variants and of conditional text lines.
+    definitions.forEach(({ npc, where }) => {
+      const expressions = npc.variants.map((variant) => variant.if);
+      const translations = Object.keys(npc.translations || {}).map(
+        (language) => npc.translations[language]
+      );
+      [npc].concat(translations).forEach((fields) => {
+        const texts = [fields.notes].concat(
+          (fields.sections || []).map((section) => section.text),
+          (fields.journal || []).map((note) => note.text)
+        );
+        texts.forEach((text) => {
+          String(text || "")
+            .split("\n")
+            .forEach((line) => {
+              const marker = CONDITION_MARKER.exec(line.trim());
+              if (marker) expressions.push(marker[1]);
+            });
+        });
+      });
+      const terms = [];
+      expressions.forEach((expression) => {
+        unknownConditionTerms(expression).forEach((term) => {
+          if (!terms.includes(term)) terms.push(term);
+        });
+      });
+      terms.forEach((term) =>
+        reportDefinitionIssue(npc.id, where, `unknown condition "${term}"`)
+      );
+    });
+
+    // Files and icons, including those set by conditional lines.
+    const images = {};
+    const icons = [];
+    definitions.forEach(({ npc, where }) => {
+      [npc].concat(npc.variants).forEach((fields) => {
+        const use = (folder, name) => {
+          const path = `${folder}/${name}`;
+          images[path] = images[path] || { folder, name, users: [] };
+          images[path].users.push({ id: npc.id, where });
+        };
+        if (fields.faceName) {
+          use("faces", fields.faceName);
+          const index = Number(fields.faceIndex || 0);
+          if (index < 0 || index > 7) {
+            reportDefinitionIssue(
+              npc.id,
+              where,
+              `face index ${index} is not 0-7`
+            );
+          }
+        }
+        if (fields.portrait && fields.portrait.name) {
+          use("pictures", fields.portrait.name);
+        }
+        (fields.iconIndexes || []).forEach((index) => {
+          icons.push({ index, id: npc.id, where });
+        });
+      });
+    });
+    // ImageManager stops the game with a load error for a missing file, so
+    // the files are requested directly.
+    Object.keys(images).forEach((path) => {
+      const { folder, name, users } = images[path];
+      const image = new Image();
+      image.onerror = () => {
+        users.forEach(({ id, where }) =>
+          reportDefinitionIssue(id, where, `missing image img/${path}.png`)
+        );
+      };
+      image.src = imageFileUrl(folder, name);
+    });
+    const iconSet = ImageManager.loadSystem("IconSet");
+    iconSet.addLoadListener(() => {
+      const count =
+        Math.floor(iconSet.width / ICON_WIDTH) *
+        Math.floor(iconSet.height / ICON_HEIGHT);
+      icons.forEach(({ index, id, where }) => {
+        if (index < 0 || index >= count) {
+          const range = `0-${count - 1}`;
+          reportDefinitionIssue(id, where, `icon ${index} is not in ${range}`);
+        }
+      });
+    });
+
+    // NPCs that are never added, and adds of IDs nothing defines.
+    Object.keys(npcIndex).forEach((id) => {
+      const defs = definitions.filter((def) => def.npc.id === id);
+      if (addedBy[id] || defs.some((def) => selfAdding[def.owner])) return;
+      const message = "no AddPersonalToList command adds this NPC";
+      reportDefinitionIssue(id, defs.length ? defs[0].where : "", message);
+    });
+    Object.keys(addedBy).forEach((id) => {
+      if (!npcIndex[id]) {
+        reportDefinitionIssue(
+          id,
+          addedBy[id],
+          "AddPersonalToList of an undefined ID"
+        );
+      }
+    });
+  }
+
+  // ============================================================================
+  //  SAVED ENTRIES
+  // ============================================================================
+  // $gameSystem._personalList only stores { id } plus per-player state. Name,
+  // face and details are looked up from the current definitions whenever they
+  // are displayed, so a patched bio reaches existing saves too. `definition`
+  // holds the fields only this save has: NPCs added or changed through the
+  // script API, and old copies of NPCs the project no longer defines (see
+  // migration below). They are laid over the project's definition.
+
+  const findPersonalEntry = (id) =>
+    getPersonalList().find((entry) => entry.id === String(id)) || null;
+
+  /**
+   * Combines a saved entry with its current definition for display.
+   * @param {Object} entry element of $gameSystem._personalList
+   * @param {String} [language] defaults to the current language
+   * @returns {Object|null} definition fields plus `entry` and `language`, or
+   *   null when the NPC is not defined anywhere
+   */
+  function resolvePersonal(entry, language = personalLanguage()) {
+    const def = findNpcDefinition(entry.id);
+    if (!def && !entry.definition) return null;
+    const item = mergeNpcFields(
+      Object.assign(blankNpcDefinition(), def),
+      entry.definition || {}
+    );
+    const blank = blankNpcDefinition();
+    (entry.cleared || []).forEach((key) => {
+      item[key] = blank[key];
+    });
+    Object.assign(item, { id: entry.id, entry, language });
+    return applyPersonalConditions(localizeFields(item, language), language);
+  }
+
+  const resolvedPersonalList = () =>
+    getPersonalList()
+      .map((entry) => resolvePersonal(entry))
+      .filter(Boolean);
+
+  // Saves keep a short fingerprint of the last read description instead of
+  // the text itself, just enough to tell whether it changed. It is always
+  // taken from the default language, so switching languages marks nothing.
+  function textFingerprint(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+      hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+    }
+    return hash;
+  }
+
+  /**
+   * Marks a saved entry as read and remembers the description it showed.
+   * @param {Object} entry element of $gameSystem._personalList
+   */
+  function markPersonalRead(entry) {
+    const item = resolvePersonal(entry, "");
+    delete entry.unread;
+    if (item) entry.seen = textFingerprint(personalDetailsText(item));
+  }
+
+  const clampAffinity = (value) =>
+    Math.round(Math.min(Math.max(value, affinityMin), affinityMax));
+
+  const entryAffinity = (entry) =>
+    entry.affinity === undefined
+      ? clampAffinity(affinityInitial)
+      : entry.affinity;
+
+  /**
+   * Label of the highest rank whose minimum the value reaches.
+   * @param {Number} value affinity
+   * @returns {String} empty when no rank applies
+   */
+  function affinityRank(value) {
+    let found = null;
+    affinityRanks.forEach((rank) => {
+      if (value >= rank.min) found = rank;
+    });
+    return found;
+  }
+
+  function affinityRankOf(value) {
+    const rank = affinityRank(value);
+    return rank ? rank.label : "";
+  }
+
+  /**
+   * Colour code for an NPC's name in the list ("List Row Color").
+   * @param {Object} item result of resolvePersonal
+   * @returns {String} e.g. "\\C[3]", or "" for the normal colour
+   */
+  function listColorCode(item) {
+    let color = null;
+    if (
+      listRowColor === "category" &&
+      categoryColors.hasOwnProperty(item.category)
+    ) {
+      color = categoryColors[item.category];
+    } else if (listRowColor === "affinity") {
+      const rank = affinityRank(entryAffinity(item.entry));
+      color = rank && rank.color;
+    }
+    return color === null ? "" : `\\C[${color}]`;
+  }
+
+  /**
+   * Where and when something happened, stored in the save file.
+   * @param {Number} eventId event that ran the command, 0 for none
+   * @returns {Object} { mapId, mapName, eventId, playtime, day }
+   */
+  function meetingRecord(eventId) {
+    const mapId = $gameMap.mapId();
+    const info = $dataMapInfos[mapId];
+    return {
+      mapId,
+      mapName: $gameMap.displayName() || (info ? info.name : ""),
+      eventId,
+      playtime: $gameSystem.playtime(),
+      day: dayVariable ? $gameVariables.value(dayVariable) : null,
+    };
+  }
+
+  /**
+   * "First met: …" line of the detail header.
+   * @param {Object} entry element of $gameSystem._personalList
+   * @returns {String} empty when the meeting was not recorded
+   */
+  function firstMetLine(entry) {
+    const met = entry.firstMet;
+    if (!met) return "";
+    const text = uiText(met.day === null ? "firstMetText" : "firstMetDayText");
+    return text ? text.format(met.mapName, met.day) : "";
+  }
+
+  /**
+   * Every defined NPC that is not in the list yet, resolved like a listed one
+   * with an empty entry and marked `undiscovered`.
+   * @returns {Object[]}
+   */
+  function undiscoveredPersonals() {
+    const listed = {};
+    getPersonalList().forEach((entry) => {
+      listed[entry.id] = true;
+    });
+    return Object.keys(npcIndex || {})
+      .filter((id) => !listed[id])
+      .map((id) => resolvePersonal({ id }))
+      .filter(Boolean)
+      .map((item) => Object.assign(item, { undiscovered: true }));
+  }
 
-  // ============================================================================
-  //  DATA PROCUREMENT
-  // ============================================================================
-  const getPersonalList = function () {
-    if (!$gameSystem._personalList) {
-      $gameSystem._personalList = [];
-    }
-    return $gameSystem._personalList;
-  };
+  // What the menu lists: the NPCs met, plus "???" rows when enabled.
+  const shownPersonalList = () =>
+    showUndiscovered
+      ? resolvedPersonalList().concat(undiscoveredPersonals())
+      : resolvedPersonalList();
 
-  function parseNpcBlocks(list, wantedId = null) {
-    const results = [];
-    let npc = null;
-    let readingNote = false;
+  /**
+   * The resolved NPCs met and not met yet, for counting several categories
+   * without resolving every NPC again for each.
+   * @returns {Object} { listed, undiscovered }
+   */
+  const personalLists = () => ({
+    listed: resolvedPersonalList(),
+    undiscovered: undiscoveredPersonals(),
+  });
 
-    const pushCurrent = () => {
-      if (npc && npc.typeIsNPC && npc.name && npc.id) {
-        if (!wantedId || npc.id === wantedId) results.push({ ...npc });
+  /**
+   * How many of the defined NPCs are in the list.
+   * @param {String|null} [category] null for every category
+   * @param {Object} [lists] result of personalLists, built when omitted
+   * @returns {Object} { found, total, percent }; percent is rounded down
+   */
+  function personalCompletion(category = null, lists = personalLists()) {
+    const inCategory = (item) => !category || item.category === category;
+    const found = lists.listed.filter(inCategory).length;
+    const total = found + lists.undiscovered.filter(inCategory).length;
+    const percent = total ? Math.floor((found * 100) / total) : 0;
+    return { found, total, percent };
+  }
+
+  /**
+   * A title or tab label with the completion added ("Completion Format").
+   * @param {String} label
+   * @param {String|null} [category] null for every category
+   * @param {Object} [lists] result of personalLists, built when omitted
+   * @returns {String}
+   */
+  function completionLabel(label, category = null, lists) {
+    const format = uiText("completionFormat");
+    if (!format) return label;
+    const { found, total, percent } = personalCompletion(category, lists);
+    return format.format(label, percent, found, total);
+  }
+
+  /**
+   * Distinct categories of the given NPCs, ordered by the "Category Tab
+   * Order" parameter first and by first appearance after that.
+   * @param {Object[]} items results of resolvePersonal
+   * @returns {String[]}
+   */
+  function personalCategories(items) {
+    const found = [];
+    items.forEach((item) => {
+      if (item.category && !found.includes(item.category)) {
+        found.push(item.category);
       }
+    });
+    const rank = (category) => {
+      const at = categoryOrder.indexOf(category);
+      return at >= 0 ? at : categoryOrder.length + found.indexOf(category);
     };
+    return found.sort((a, b) => rank(a) - rank(b));
+  }
 
-    list.forEach((cmd) => {
-      if (cmd.code !== 108 && cmd.code !== 408) {
-        readingNote = false;
-        return;
-      }
-      const line = cmd.parameters[0].trim();
+  // Escape codes must not take part in alphabetical comparisons.
+  const plainText = (text) =>
+    String(text || "").replace(/\\[A-Z{}<>|.!^$]*(\[[^\]]*\])?/gi, "");
 
-      if (line.startsWith("Type:") && line.includes("NPC")) {
-        pushCurrent();
-        npc = {
-          typeIsNPC: true,
-          id: "",
-          name: "",
-          category: "",
-          faceName: "",
-          faceIndex: 0,
-          iconIndexes: [],
-          notes: "",
-        };
-        readingNote = false;
-        return;
+  /**
+   * True when the search text occurs in the NPC's name or category (and
+   * details with "Search In Details"). Case is ignored; locked sections only
+   * match their placeholder text.
+   * @param {Object} item result of resolvePersonal
+   * @param {String} query
+   */
+  function matchesPersonalSearch(item, query) {
+    if (!query) return true;
+    const fields = [item.name, item.category];
+    if (searchDetails) fields.push(personalDetailsText(item));
+    const needle = query.toLowerCase();
+    return fields.some((text) =>
+      plainText(text).toLowerCase().includes(needle)
+    );
+  }
+
+  /**
+   * Sorts resolved NPCs by one of SORT_MODES. Ties keep the order in which
+   * the NPCs were added to the list.
+   * @param {Object[]} items results of resolvePersonal
+   * @param {String} mode
+   * @returns {Object[]} a new, sorted array
+   */
+  function sortPersonalItems(items, mode) {
+    const list = getPersonalList();
+    const added = (item) => list.indexOf(item.entry);
+    const byName = (a, b) => plainText(a.name).localeCompare(plainText(b.name));
+    const categories = personalCategories(items);
+    const categoryRank = (item) =>
+      item.category ? categories.indexOf(item.category) : categories.length;
+    const compare = {
+      order: (a, b) => {
+        const ao = a.order === null ? Infinity : a.order;
+        const bo = b.order === null ? Infinity : b.order;
+        return ao === bo ? 0 : ao < bo ? -1 : 1;
+      },
+      name: byName,
+      category: (a, b) => categoryRank(a) - categoryRank(b) || byName(a, b),
+      recent: (a, b) =>
+        (b.entry.met || 0) - (a.entry.met || 0) || added(b) - added(a),
+    }[mode];
+    // Undiscovered NPCs come last in definition order whatever the mode, so
+    // their place does not give away their hidden name or category.
+    return items.slice().sort((a, b) => {
+      if (a.undiscovered || b.undiscovered) {
+        const hidden = (item) => (item.undiscovered ? 1 : 0);
+        return hidden(a) - hidden(b) || items.indexOf(a) - items.indexOf(b);
       }
+      return (compare ? compare(a, b) : 0) || added(a) - added(b);
+    });
+  }
 
-      if (!npc) return;
+  /**
+   * Builds the description text of a resolved NPC: the base details followed
+   * by every section, with locked ones replaced by the placeholder.
+   * @param {Object} item result of resolvePersonal
+   * @returns {String}
+   */
+  function personalDetailsText(item) {
+    const revealed = item.entry.sections || [];
+    const parts = item.notes ? [item.notes] : [];
+    (item.sections || []).forEach((sec) => {
+      parts.push(
+        revealed.includes(sec.key)
+          ? sec.text
+          : uiText("lockedSectionText", "", item.language)
+      );
+    });
+    return parts.join("\n");
+  }
 
-      if (line.startsWith("ID:")) npc.id = line.slice(3).trim();
-      else if (line.startsWith("Name:")) npc.name = line.slice(5).trim();
-      else if (line.startsWith("Category:"))
-        npc.category = line.slice(9).trim();
-      else if (line.startsWith("Face:")) {
-        const [fn, fi] = line.slice(5).split(",");
-        npc.faceName = (fn || "").trim();
-        npc.faceIndex = parseInt(fi || "0", 10);
-      } else if (line.startsWith("Icon:")) {
-        npc.iconIndexes = line
-          .slice(5)
-          .split(",")
-          .map((s) => parseInt(s.trim(), 10))
-          .filter((n) => !isNaN(n))
-          .slice(0, 3);
-      } else if (line.startsWith("Details:")) {
-        npc.notes = line.slice(8).trim();
-        readingNote = true;
-      } else if (readingNote) {
-        npc.notes += "\n" + line;
-      }
+  /**
+   * Journal entries of an NPC with their texts, newest first. Entries whose
+   * Note[key] no longer exists are skipped.
+   * @param {Object} item result of resolvePersonal
+   * @returns {Object[]} { key, text, mapName, playtime, day }
+   */
+  function personalJournal(item) {
+    return (item.entry.journal || [])
+      .map((saved) => {
+        const note = item.journal.find((n) => n.key === saved.key);
+        return note && Object.assign({}, saved, { text: note.text });
+      })
+      .filter(Boolean)
+      .reverse();
+  }
+
+  const playtimeLabel = (seconds) =>
+    [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60]
+      .map((n) => n.padZero(2))
+      .join(":");
+
+  // One paragraph per journal entry for the detail view.
+  const journalParagraphs = (item) =>
+    personalJournal(item).map((note) => {
+      const date =
+        note.day === null
+          ? playtimeLabel(note.playtime)
+          : uiText("journalDayText").format(note.day);
+      return `${SYSTEM_COLOR_CODE}${date}\\C[0] ${note.text}`;
     });
 
-    pushCurrent();
-    return results;
+  // v1.2 saves contain full copies of the parsed comment blocks. Reduce them to
+  // references; keep the old copy only when no definition exists any more.
+  function migratePersonalList(system) {
+    if (!system._personalList) return;
+    system._personalList = system._personalList.map((item) => {
+      if (!item.typeIsNPC) return item;
+      const entry = { id: String(item.id) };
+      if (!findNpcDefinition(entry.id)) {
+        const { typeIsNPC, ...definition } = item;
+        entry.definition = definition;
+      }
+      return entry;
+    });
   }
 
+  const _Game_System_onAfterLoad = Game_System.prototype.onAfterLoad;
+  Game_System.prototype.onAfterLoad = function () {
+    _Game_System_onAfterLoad.call(this);
+    migratePersonalList(this);
+  };
+
   // ────────────────────────────────────────────
   // 1) BUTTON REGISTRATION
   // ────────────────────────────────────────────
-  if (openMenuKey.length === 1) {
-    // pl. 'q' -> Q (81)
-    const code = openMenuKey.toUpperCase().charCodeAt(0);
-    Input.keyMapper[code] = PERSONAL_KEY;
-  } else {
-    Input.keyMapper[Input.stringToSymbol(openMenuKey)] = PERSONAL_KEY;
+  // Single characters get their own key code mapped to `symbol` (pl. 'q' ->
+  // Q (81)); longer names ("pageup", "shift" …) are existing Input symbols.
+  const bindKey = (keyName, symbol) => {
+    if (keyName.length !== 1) return keyName;
+    Input.keyMapper[keyName.toUpperCase().charCodeAt(0)] = symbol;
+    return symbol;
+  };
+  const openMenuSymbol = bindKey(openMenuKey, PERSONAL_KEY);
+  const sortSymbol = bindKey(sortKey, PERSONAL_SORT_KEY);
+  const searchSymbol = bindKey(searchKey, PERSONAL_SEARCH_KEY);
+
+  // ============================================================================
+  //  ENGINE COMPATIBILITY (MV / MZ)
+  // ============================================================================
+  // Window constructors take (x, y, width, height) in MV and a Rectangle in MZ.
+  const windowArgs = (x, y, width, height) =>
+    IS_MZ ? [new Rectangle(x, y, width, height)] : [x, y, width, height];
+
+  const fittingHeight = (numLines) =>
+    Window_Base.prototype.fittingHeight.call(Window_Base.prototype, numLines);
+
+  const FACE_WIDTH = IS_MZ ? ImageManager.faceWidth : Window_Base._faceWidth;
+  const FACE_HEIGHT = IS_MZ ? ImageManager.faceHeight : Window_Base._faceHeight;
+  const ICON_WIDTH = IS_MZ ? ImageManager.iconWidth : Window_Base._iconWidth;
+  const ICON_HEIGHT = IS_MZ ? ImageManager.iconHeight : Window_Base._iconHeight;
+
+  // MZ moved colours to ColorManager and renamed a few window helpers. Our
+  // windows get the MV names back, so the drawing code is the same for both.
+  function applyWindowCompat(proto) {
+    if (!IS_MZ) return;
+    proto.textPadding = function () {
+      return this.itemPadding();
+    };
+    proto.systemColor = () => ColorManager.systemColor();
+    proto.textColor = (n) => ColorManager.textColor(n);
+    proto.gaugeBackColor = () => ColorManager.gaugeBackColor();
+    proto.itemRectForText = function (index) {
+      return this.itemLineRect(index);
+    };
+  }
+
+  // ============================================================================
+  //  LAYOUT
+  // ============================================================================
+  // { list: { rect: [x, y, width, height], opacity, windowskin } }; NaN in
+  // rect keeps the automatic value.
+  const windowStyles = {};
+  JSON.parse(parameters["windowStyles"] || "[]").forEach((json) => {
+    const style = JSON.parse(json);
+    windowStyles[style.window || "list"] = {
+      rect: String(style.rect || "")
+        .split(",")
+        .map((part) => (part.trim() === "" ? NaN : Number(part))),
+      opacity:
+        style.opacity === undefined || style.opacity === ""
+          ? null
+          : Number(style.opacity),
+      windowskin: style.windowskin || "",
+    };
+  });
+
+  /**
+   * A window's automatic rectangle with the parts set in "Window Styles".
+   * @param {String} name "title", "category", "list", "header", "details"
+   *   or "portrait"
+   * @returns {Number[]} x, y, width, height
+   */
+  function layoutRect(name, x, y, width, height) {
+    const custom = windowStyles[name] ? windowStyles[name].rect : [];
+    return [x, y, width, height].map((value, i) =>
+      isNaN(custom[i]) ? value : custom[i]
+    );
+  }
+
+  // Windows read their text colours from the windowskin in MV, so a custom
+  // skin has to be in place before anything is drawn.
+  function applyWindowSkin(proto, name) {
+    const style = windowStyles[name];
+    if (!style || !style.windowskin) return;
+    proto.loadWindowskin = function () {
+      this.windowskin = ImageManager.loadSystem(style.windowskin);
+    };
+  }
+
+  /**
+   * Adds a sprite between a window's background and its contents, so the
+   * window's text is drawn over it.
+   * @returns {Rectangle} the window's inner area in the sprite's coordinates
+   */
+  function addWindowUnderlay(win, sprite) {
+    const parent = IS_MZ ? win._clientArea : win;
+    const contents = IS_MZ ? win._contentsSprite : win._windowContentsSprite;
+    parent.addChildAt(sprite, parent.children.indexOf(contents));
+    const offset = IS_MZ ? 0 : win.padding;
+    return new Rectangle(
+      offset,
+      offset,
+      win.width - win.padding * 2,
+      win.height - win.padding * 2
+    );
+  }
+
+  /**
+   * Touch / mouse position in a window's own coordinates.
+   * @returns {Point}
+   */
+  function touchPosition(win) {
+    if (IS_MZ) {
+      return win.worldTransform.applyInverse(
+        new Point(TouchInput.x, TouchInput.y)
+      );
+    }
+    return new Point(
+      win.canvasToLocalX(TouchInput.x),
+      win.canvasToLocalY(TouchInput.y)
+    );
+  }
+
+  function isTouchInside(win) {
+    const pos = touchPosition(win);
+    return (
+      win.visible &&
+      pos.x >= 0 &&
+      pos.y >= 0 &&
+      pos.x < win.width &&
+      pos.y < win.height
+    );
+  }
+
+  // ============================================================================
+  //  ADDING AND REMOVING
+  // ============================================================================
+  // The plugin commands, the script API and the debug scene all change the
+  // list through these, so the same events fire whichever is used.
+
+  /**
+   * Marks an entry "new", or "updated" when its description changed since
+   * it was last seen, and fires the matching event.
+   * @param {Object} entry element of $gameSystem._personalList
+   * @param {Boolean} isNew the entry was just added
+   */
+  function checkPersonalChange(entry, isNew) {
+    const item = resolvePersonal(entry, "");
+    const seen = item && textFingerprint(personalDetailsText(item));
+    const changed = !isNew && entry.seen !== undefined && entry.seen !== seen;
+    if (isNew) entry.unread = "new";
+    entry.seen = seen;
+
+    if (isNew) $gameSystem._triggerPersonalEvent("added", entry.id);
+    else if (changed) markPersonalUpdated(entry);
+  }
+
+  /**
+   * Marks a listed NPC "updated" (unless it is still "new") and fires the
+   * "updated" event.
+   * @param {Object} entry element of $gameSystem._personalList
+   */
+  function markPersonalUpdated(entry) {
+    if (entry.unread !== "new") entry.unread = "updated";
+    $gameSystem._triggerPersonalEvent("updated", entry.id);
+  }
+
+  // Fields a script may clear by passing null; an NPC always keeps its name.
+  const CLEARABLE_FIELDS = Object.keys(blankNpcDefinition()).filter(
+    (key) => !["typeIsNPC", "id", "name"].includes(key)
+  );
+
+  /**
+   * Lays script fields over the definition saved in an entry. Unlike
+   * mergeNpcFields, variants replace the saved ones, and fields given as
+   * null are cleared, also over the project's definition (see
+   * entry.cleared in resolvePersonal).
+   * @param {Object} entry element of $gameSystem._personalList
+   * @param {Object} fields fields in the format of Personals.json
+   */
+  function applySavedFields(entry, fields) {
+    const changes = normalizeNpcDefinition(
+      Object.assign({}, fields, { id: entry.id })
+    );
+    const saved = mergeNpcFields(entry.definition || {}, changes);
+    if (Array.isArray(fields.variants)) saved.variants = changes.variants;
+    const isSet = (key) => fields[key] !== undefined && fields[key] !== null;
+    const cleared = (entry.cleared || []).filter((key) => !isSet(key));
+    CLEARABLE_FIELDS.forEach((key) => {
+      if (fields[key] !== null || cleared.includes(key)) return;
+      cleared.push(key);
+    });
+    cleared.forEach((key) => delete saved[key]);
+    entry.definition = saved;
+    if (cleared.length) entry.cleared = cleared;
+    else delete entry.cleared;
+  }
+
+  /**
+   * Adds an NPC to the list, or records another meeting when it is listed
+   * already.
+   * @param {String|Number} id NPC id
+   * @param {Number} [eventId] event that ran the command, 0 for none
+   * @param {Object} [fields] fields in the format of Personals.json, stored
+   *   in the save over the project's definition
+   * @returns {Boolean} false when the NPC has no definition with a name
+   */
+  function upsertPersonal(id, eventId = 0, fields = null) {
+    let entry = findPersonalEntry(id);
+    const isNew = !entry;
+    if (isNew) entry = { id: String(id) };
+    if (fields) applySavedFields(entry, fields);
+    const item = resolvePersonal(entry);
+    if (!item || !item.name) return false;
+    if (isNew) getPersonalList().push(entry); // insert
+
+    $gameSystem._personalMetCount = ($gameSystem._personalMetCount || 0) + 1;
+    entry.met = $gameSystem._personalMetCount;
+    entry.lastMet = meetingRecord(eventId);
+    if (!entry.firstMet) entry.firstMet = Object.assign({}, entry.lastMet);
+    checkPersonalChange(entry, isNew);
+
+    if (item.faceName) ImageManager.loadFace(item.faceName);
+    if (item.portrait) ImageManager.loadPicture(item.portrait.name);
+    return true;
+  }
+
+  /**
+   * Takes an NPC off the list, together with its affinity, journal and
+   * history.
+   * @param {String|Number} id NPC id
+   * @returns {Boolean} false when the NPC was not in the list
+   */
+  function removePersonal(id) {
+    const entry = findPersonalEntry(id);
+    if (!entry) return false;
+    // Resolved first: NPCs added or renamed by script only exist in the entry.
+    const item = resolvePersonal(entry);
+    $gameSystem._personalList = getPersonalList().filter(
+      (other) => other.id !== entry.id
+    );
+    $gameSystem._triggerPersonalEvent("removed", entry.id);
+    queuePersonalToast("removed", item);
+    return true;
   }
 
   // ============================================================================
@@ -169,7 +2852,24 @@
     Game_Interpreter.prototype.pluginCommand;
   Game_Interpreter.prototype.pluginCommand = function (command, args) {
     _Game_Interpreter_pluginCommand.call(this, command, args);
+    runPersonalCommand(this, command, args);
+  };
 
+  // NPCs defined in the comments of the running event's current page.
+  function currentEventNpcs(interpreter) {
+    const ev = $gameMap.event(interpreter.eventId());
+    const page = ev && ev.event().pages[ev._pageIndex];
+    return page && page.list ? parseNpcBlocks(page.list) : [];
+  }
+
+  /**
+   * Runs one of the plugin commands. MV text commands and the registered MZ
+   * commands both end up here.
+   * @param {Game_Interpreter} interpreter the running interpreter
+   * @param {String} command command name, e.g. "AddPersonalToList"
+   * @param {String[]} args command arguments
+   */
+  function runPersonalCommand(interpreter, command, args) {
     if (command === "EnablePersonalMenu") {
       $gameSystem._personalMenuEnabled = true;
       return;
@@ -180,62 +2880,107 @@
     }
 
     if (command === "RemovePersonalFromList") {
-      const removeId = (idToDel) => {
-        idToDel = String(idToDel);
-        const before = getPersonalList().length;
-        $gameSystem._personalList = getPersonalList().filter(
-          (i) => i.id !== idToDel
-        );
-        if (getPersonalList().length !== before) {
-          $gameSystem._triggerPersonalRemoved(idToDel);
-        }
-      };
-
-      if (args.length) {
-        args.forEach(removeId);
-        return;
-      }
+      const ids = args.length
+        ? args
+        : currentEventNpcs(interpreter).map((npc) => npc.id);
+      ids.forEach((id) => removePersonal(id));
+      return;
+    }
 
-      const ev = $gameMap.event(this.eventId());
-      const page = ev && ev.event().pages[ev._pageIndex];
-      if (!page || !page.list) return;
+    if (command === "AddPersonalNote" || command === "RemovePersonalNote") {
+      const [id, ...keys] = args;
+      keys.forEach((key) => {
+        if (command === "AddPersonalNote") {
+          $gameSystem.addPersonalNote(id, key, interpreter.eventId());
+        } else {
+          $gameSystem.removePersonalNote(id, key);
+        }
+      });
+      return;
+    }
 
-      parseNpcBlocks(page.list).forEach((npcObj) => removeId(npcObj.id));
+    if (command === "SetPersonalLanguage") {
+      ConfigManager.personalLanguage = (args[0] || "").trim().toLowerCase();
+      ConfigManager.save();
       return;
     }
 
-    if (command === "AddPersonalToList") {
-      const upsert = (npc) => {
-        const list = getPersonalList();
-        const existing = list.find((i) => i.id === npc.id);
-        if (existing) Object.assign(existing, npc); // update
-        else {
-          list.push(npc); // insert
-          $gameSystem._triggerPersonalAdded(npc.id);
-        }
-        if (npc.faceName) ImageManager.loadFace(npc.faceName);
-      };
+    if (command === "LogPersonalInteraction") {
+      const ids = args.length
+        ? args
+        : currentEventNpcs(interpreter).map((npc) => npc.id);
+      ids.forEach((id) =>
+        $gameSystem.logPersonalInteraction(id, interpreter.eventId())
+      );
+      return;
+    }
 
-      if (args.length) {
-        args.forEach((targetId) => {
-          targetId = String(targetId);
-          $gameMap.events().forEach((ev) => {
-            const page = ev.event().pages[ev._pageIndex];
-            if (page && page.list) {
-              parseNpcBlocks(page.list, targetId).forEach(upsert);
-            }
-          });
-        });
-        return;
-      }
+    if (command === "ChangePersonalAffinity") {
+      $gameSystem.changePersonalAffinity(args[0], Number(args[1] || 0));
+      return;
+    }
+    if (command === "SetPersonalAffinity") {
+      $gameSystem.setPersonalAffinity(args[0], Number(args[1] || 0));
+      return;
+    }
 
-      const ev = $gameMap.event(this.eventId());
-      const page = ev && ev.event().pages[ev._pageIndex];
-      if (!page || !page.list) return;
+    if (
+      command === "RevealPersonalSection" ||
+      command === "HidePersonalSection"
+    ) {
+      const [id, ...keys] = args;
+      const revealed = command === "RevealPersonalSection";
+      keys.forEach((key) => $gameSystem.setPersonalSection(id, key, revealed));
+      return;
+    }
 
-      parseNpcBlocks(page.list).forEach(upsert);
+    if (command === "AddPersonalToList") {
+      const ids = args.length
+        ? args
+        : currentEventNpcs(interpreter).map((npc) => npc.id);
+      ids.forEach((id) => upsertPersonal(id, interpreter.eventId()));
     }
-  };
+  }
+
+  // MZ: the same commands with typed arguments from the Plugin Command editor.
+  if (IS_MZ) {
+    const idList = (json) => JSON.parse(json || "[]").filter((id) => id);
+    const mzCommands = {
+      SetPersonalMenu: (a) => [
+        a.enabled === "true" ? "EnablePersonalMenu" : "DisablePersonalMenu",
+        [],
+      ],
+      AddPersonalToList: (a) => ["AddPersonalToList", idList(a.ids)],
+      RemovePersonalFromList: (a) => ["RemovePersonalFromList", idList(a.ids)],
+      SetPersonalSection: (a) => [
+        a.revealed === "false"
+          ? "HidePersonalSection"
+          : "RevealPersonalSection",
+        [a.id].concat(idList(a.sections)),
+      ],
+      ChangePersonalAffinity: (a) => [
+        "ChangePersonalAffinity",
+        [a.id, a.amount],
+      ],
+      SetPersonalAffinity: (a) => ["SetPersonalAffinity", [a.id, a.value]],
+      AddPersonalNote: (a) => [
+        "AddPersonalNote",
+        [a.id].concat(idList(a.keys)),
+      ],
+      RemovePersonalNote: (a) => [
+        "RemovePersonalNote",
+        [a.id].concat(idList(a.keys)),
+      ],
+      SetPersonalLanguage: (a) => ["SetPersonalLanguage", [a.language]],
+      LogPersonalInteraction: (a) => ["LogPersonalInteraction", idList(a.ids)],
+    };
+    Object.keys(mzCommands).forEach((name) => {
+      PluginManager.registerCommand(pluginName, name, function (mzArgs) {
+        const [command, args] = mzCommands[name](mzArgs);
+        runPersonalCommand(this, command, args);
+      });
+    });
+  }
 
   // ============================================================================
   //  MENU CALCULATION
@@ -251,7 +2996,14 @@
     }
 
     if ($gameSystem._personalMenuEnabled) {
-      this.addCommand(PERSONAL_MENU_NAME, "personalList", true);
+      const unread = $gameSystem.personalUnreadCount();
+      const name = unread
+        ? uiText("unreadMenuFormat").format(uiText("menuTitle"), unread)
+        : uiText("menuTitle");
+      this.addCommand(name, "personalList", true);
+    }
+    if (isPlaytest && debugMenuText) {
+      this.addCommand(debugMenuText, "personalDebug", true);
     }
   };
 
@@ -266,12 +3018,20 @@
       "personalList",
       this.commandPersonalList.bind(this)
     );
+    this._commandWindow.setHandler(
+      "personalDebug",
+      this.commandPersonalDebug.bind(this)
+    );
   };
 
   Scene_Menu.prototype.commandPersonalList = function () {
     SceneManager.push(Scene_PersonalList);
   };
 
+  Scene_Menu.prototype.commandPersonalDebug = function () {
+    SceneManager.push(Scene_PersonalDebug);
+  };
+
   // ============================================================================
   // Scene_PersonalList
   // ============================================================================
@@ -284,89 +3044,462 @@
 
   Scene_PersonalList.prototype.create = function () {
     Scene_MenuBase.prototype.create.call(this);
-    this._titleWindow = new Window_PersonalTitle();
+    // MZ keeps the top row free for the touch UI buttons.
+    const top = IS_MZ ? this.mainAreaTop() : 0;
+    const bottom = IS_MZ ? top + this.mainAreaHeight() : Graphics.boxHeight;
+    const width = Graphics.boxWidth;
+    this._titleWindow = new Window_PersonalTitle(
+      ...layoutRect("title", 0, top, width, fittingHeight(1))
+    );
     this.addWindow(this._titleWindow);
 
-    const titleHeight = this._titleWindow.height;
-    const tempWindow = new Window_Base(0, 0, 0, 0);
-    const headerHeight = tempWindow.fittingHeight(3);
-    const contentHeight = Graphics.boxHeight - titleHeight - headerHeight;
+    // The hidden title window still exists for the sort and search code.
+    let titleHeight = top;
+    if (showTitle) titleHeight += this._titleWindow.height;
+    else this._titleWindow.hide();
+
+    if (showCategoryTabs) {
+      this._categoryWindow = new Window_PersonalCategory(
+        ...layoutRect("category", 0, titleHeight, width, fittingHeight(1))
+      );
+      this._categoryWindow.setHandler("ok", this.onCategoryOk.bind(this));
+      this._categoryWindow.setHandler("cancel", this.popScene.bind(this));
+      this.addWindow(this._categoryWindow);
+      titleHeight += this._categoryWindow.height;
+    }
+
+    const headerHeight = fittingHeight(headerLines);
+    const contentHeight = bottom - titleHeight - headerHeight;
+    // List | details | portrait column, or mirrored with List On The Right.
+    const columnWidth = portraitLayout === "column" ? portraitColumnWidth : 0;
+    const detailWidth = width - listWidth - columnWidth;
+    const listX = swapSides ? width - listWidth : 0;
+    const detailX = swapSides ? columnWidth : listWidth;
+    const columnX = swapSides ? 0 : width - columnWidth;
 
     this._listWindow = new Window_PersonalList(
-      0,
-      titleHeight,
-      300,
-      contentHeight + headerHeight
+      ...layoutRect(
+        "list",
+        listX,
+        titleHeight,
+        listWidth,
+        contentHeight + headerHeight
+      )
     );
     this._listWindow.setHandler("ok", this.onItemOk.bind(this));
-    this._listWindow.setHandler("cancel", this.popScene.bind(this));
+    this._listWindow.setHandler("cancel", this.onListCancel.bind(this));
     this.addWindow(this._listWindow);
 
+    if (this._categoryWindow) {
+      this._categoryWindow.setListWindow(this._listWindow);
+      this._listWindow.deselect();
+      this._listWindow.deactivate();
+    }
+
     this._headerWindow = new Window_PersonalHeader(
-      300,
-      titleHeight,
-      Graphics.boxWidth - 300,
-      headerHeight
+      ...layoutRect("header", detailX, titleHeight, detailWidth, headerHeight)
     );
     this.addWindow(this._headerWindow);
 
-    this._descWindow = new Window_PersonalDesc(
-      300,
-      titleHeight + headerHeight,
-      Graphics.boxWidth - 300,
-      contentHeight
+    const DescWindow =
+      detailsView === "scroll" ? Window_PersonalDetails : Window_PersonalDesc;
+    this._descWindow = new DescWindow(
+      ...layoutRect(
+        "details",
+        detailX,
+        titleHeight + headerHeight,
+        detailWidth,
+        contentHeight
+      )
     );
     this.addWindow(this._descWindow);
 
+    this.createPortrait(
+      ...layoutRect(
+        "portrait",
+        columnX,
+        titleHeight,
+        columnWidth,
+        bottom - titleHeight
+      )
+    );
+    this.styleWindows();
+
+    this.createSearchWindows();
+    this.loadPersonalImages();
     this._detailsActive = false;
   };
 
+  Scene_PersonalList.prototype.createBackground = function () {
+    Scene_MenuBase.prototype.createBackground.call(this);
+    if (!backgroundImage) return;
+    this._backgroundSprite.bitmap = ImageManager.loadPicture(backgroundImage);
+    // MZ blurs and dims the map snapshot.
+    this._backgroundSprite.filters = null;
+    this._backgroundSprite.opacity = 255;
+  };
+
+  Scene_PersonalList.prototype.createPortrait = function (x, y, width, height) {
+    let host = this._descWindow;
+    if (width && portraitLayout === "column") {
+      this._portraitWindow = new Window_Base(
+        ...windowArgs(x, y, width, height)
+      );
+      this.addWindow(this._portraitWindow);
+      host = this._portraitWindow;
+    }
+    this._portraitSprite = new Sprite_PersonalPortrait();
+    this._portraitSprite.setArea(addWindowUnderlay(host, this._portraitSprite));
+  };
+
+  // Opacity and windowskin from "Window Styles". The windows of this plugin
+  // load their skin themselves (applyWindowSkin), the portrait column is a
+  // plain Window_Base.
+  Scene_PersonalList.prototype.styleWindows = function () {
+    const windows = {
+      title: this._titleWindow,
+      category: this._categoryWindow,
+      list: this._listWindow,
+      header: this._headerWindow,
+      details: this._descWindow,
+      portrait: this._portraitWindow,
+    };
+    Object.keys(windowStyles).forEach((name) => {
+      const win = windows[name];
+      const style = windowStyles[name];
+      if (!win) return;
+      if (style.opacity !== null) win.opacity = style.opacity;
+      if (style.windowskin) {
+        win.windowskin = ImageManager.loadSystem(style.windowskin);
+      }
+    });
+  };
+
+  // Faces and portraits are loaded before the scene starts (isReady waits
+  // for them), so nothing pops in when an entry is opened. Images of
+  // conditional variants are loaded as well.
+  Scene_PersonalList.prototype.loadPersonalImages = function () {
+    shownPersonalList().forEach((item) => {
+      [item, ...item.variants].forEach((fields) => {
+        if (fields.faceName) ImageManager.loadFace(fields.faceName);
+        if (fields.portrait) ImageManager.loadPicture(fields.portrait.name);
+      });
+    });
+  };
+
+  // The list was drawn in create, before the faces of thumbnail rows had
+  // loaded.
+  Scene_PersonalList.prototype.start = function () {
+    Scene_MenuBase.prototype.start.call(this);
+    if (listRowStyle === "face") this._listWindow.refresh();
+  };
+
+  // Ending the scene during a search must not leave the grid's keyboard
+  // listener behind.
+  Scene_PersonalList.prototype.terminate = function () {
+    Scene_MenuBase.prototype.terminate.call(this);
+    this._searchInputWindow.deactivate();
+  };
+
+  Scene_PersonalList.prototype.createSearchWindows = function () {
+    if (IS_MZ) {
+      const inputHeight = this.calcWindowHeight(9, true);
+      const width = 480;
+      const height = ImageManager.faceHeight + $gameSystem.windowPadding() * 2;
+      const x = (Graphics.boxWidth - width) / 2;
+      const y = (Graphics.boxHeight - (height + inputHeight + 8)) / 2;
+      this._searchEditWindow = new Window_PersonalSearchEdit(
+        new Rectangle(x, y, width, height)
+      );
+      this._searchInputWindow = new Window_PersonalSearchInput(
+        new Rectangle(x, y + height + 8, width, inputHeight)
+      );
+      this._searchInputWindow.setEditWindow(this._searchEditWindow);
+    } else {
+      this._searchEditWindow = new Window_PersonalSearchEdit();
+      this._searchInputWindow = new Window_PersonalSearchInput(
+        this._searchEditWindow
+      );
+    }
+    this._searchInputWindow.setHandler("ok", this.onSearchOk.bind(this));
+    this._searchInputWindow.setHandler(
+      "cancel",
+      this.onSearchCancel.bind(this)
+    );
+    this._searchEditWindow.hide();
+    this._searchInputWindow.hide();
+    this._searchInputWindow.deactivate();
+    this.addWindow(this._searchEditWindow);
+    this.addWindow(this._searchInputWindow);
+  };
+
+  Scene_PersonalList.prototype.isSearching = function () {
+    return this._searchInputWindow.active;
+  };
+
+  Scene_PersonalList.prototype.startSearch = function () {
+    this._searchReturnWindow = this._listWindow.active
+      ? this._listWindow
+      : this._categoryWindow;
+    this._searchReturnWindow.deactivate();
+    SoundManager.playOk();
+    this._searchEditWindow.start(this._listWindow.searchQuery());
+    this._searchEditWindow.show();
+    this._searchInputWindow.show();
+    this._searchInputWindow.activate();
+  };
+
+  Scene_PersonalList.prototype.endSearch = function () {
+    this._searchEditWindow.hide();
+    this._searchInputWindow.hide();
+    this._searchInputWindow.deactivate();
+    this._titleWindow.setSearchQuery(this._listWindow.searchQuery());
+    const returnWindow = this._searchReturnWindow;
+    if (returnWindow === this._listWindow) {
+      returnWindow.select(
+        Math.min(Math.max(returnWindow.index(), 0), returnWindow.maxItems() - 1)
+      );
+    }
+    returnWindow.activate();
+  };
+
+  Scene_PersonalList.prototype.onSearchOk = function () {
+    this.endSearch();
+  };
+
+  Scene_PersonalList.prototype.onSearchCancel = function () {
+    this._listWindow.setSearchQuery("");
+    this.endSearch();
+  };
+
+  // MZ: there is no help window in this scene.
+  Scene_PersonalList.prototype.helpAreaHeight = function () {
+    return 0;
+  };
+
+  Scene_PersonalList.prototype.onCategoryOk = function () {
+    this._listWindow.activate();
+    this._listWindow.select(0);
+  };
+
+  Scene_PersonalList.prototype.onListCancel = function () {
+    if (!this._categoryWindow) {
+      this.popScene();
+      return;
+    }
+    this._listWindow.deselect();
+    this._categoryWindow.activate();
+  };
+
   Scene_PersonalList.prototype.onItemOk = function () {
     const data = this._listWindow.item();
+    this._portraitSprite.setPortrait(data.portrait);
     this._headerWindow.setData(
-      data.faceName,
+      data.portrait ? "" : data.faceName,
       data.faceIndex,
       data.name,
       data.category,
-      data.iconIndexes
+      data.iconIndexes,
+      showAffinity ? entryAffinity(data.entry) : null,
+      firstMetLine(data.entry)
+    );
+    this._descWindow.setText(
+      personalDetailsText(data),
+      journalParagraphs(data)
     );
-    this._descWindow.setText(data.notes);
     this._detailsActive = true;
     this._descWindow.activate();
+    if (data.entry.unread) {
+      markPersonalRead(data.entry);
+      this._listWindow.redrawCurrentItem();
+    }
+  };
+
+  Scene_PersonalList.prototype.cycleSortMode = function () {
+    const current = SORT_MODES.indexOf($gameSystem.personalSortMode());
+    $gameSystem.setPersonalSortMode(
+      SORT_MODES[(current + 1) % SORT_MODES.length]
+    );
+    SoundManager.playCursor();
+    const selected = this._listWindow.item();
+    this._listWindow.refresh();
+    if (selected) {
+      this._listWindow.select(
+        this._listWindow._data.findIndex((item) => item.id === selected.id)
+      );
+    }
+    this._titleWindow.refresh();
   };
 
   Scene_PersonalList.prototype.update = function () {
+    // In MV the tap that opens an entry must not close it again right away.
+    const detailsWereActive = this._detailsActive;
     Scene_MenuBase.prototype.update.call(this);
-    if (this._detailsActive && Input.isTriggered("cancel")) {
-      this._detailsActive = false;
-      this._headerWindow.clear();
-      this._descWindow.clear();
-      this._listWindow.activate();
+    if (this.isSearching()) {
+      this._listWindow.setSearchQuery(this._searchEditWindow.name());
+      return;
+    }
+    if (!this._detailsActive && Input.isTriggered(sortSymbol)) {
+      this.cycleSortMode();
+    }
+    if (!this._detailsActive && Input.isTriggered(searchSymbol)) {
+      this.startSearch();
+    }
+    if (detailsWereActive && this.isDetailsCancelTriggered()) {
+      SoundManager.playCancel();
+      this.closeDetails();
     }
   };
 
+  // Cancel key, right click, or a tap outside the detail windows.
+  Scene_PersonalList.prototype.isDetailsCancelTriggered = function () {
+    if (Input.isTriggered("cancel") || TouchInput.isCancelled()) return true;
+    if (!TouchInput.isTriggered()) return false;
+    const detailWindows = [
+      this._headerWindow,
+      this._descWindow,
+      this._portraitWindow,
+    ];
+    return !detailWindows.some((win) => win && isTouchInside(win));
+  };
+
+  Scene_PersonalList.prototype.closeDetails = function () {
+    this._detailsActive = false;
+    this._headerWindow.clear();
+    this._descWindow.clear();
+    this._descWindow.deactivate();
+    this._portraitSprite.setPortrait(null);
+    this._listWindow.activate();
+  };
+
+  // ============================================================================
+  //  Escape-code text helpers
+  // ============================================================================
+  // Text colour 16 is the system colour in both the default palette and MZ.
+  const SYSTEM_COLOR_CODE = "\\C[16]";
+
+  /**
+   * Width of a text containing escape codes (\C, \I, \V, \N …) as it
+   * would be drawn by drawTextEx.
+   */
+  function textWidthEx(win, text) {
+    if (win.textSizeEx) return win.textSizeEx(text).width;
+    // MV: draw below the visible area, drawTextEx returns the used width.
+    return win.drawTextEx(text, 0, win.contents.height);
+  }
+
+  /**
+   * Cuts a text with escape codes to the given width, ending it with "…".
+   * Escape codes are never split.
+   * @param {Window_Base} win window used to measure the text
+   * @param {String} text
+   * @param {Number} maxWidth
+   * @returns {String}
+   */
+  function fitTextEx(win, text, maxWidth) {
+    text = String(text || "");
+    if (textWidthEx(win, text) <= maxWidth) return text;
+    let fitted = "";
+    (text.match(FIT_TOKEN) || []).some((part) => {
+      if (textWidthEx(win, `${fitted + part}…`) > maxWidth) return true;
+      fitted += part;
+      return false;
+    });
+    return `${fitted}…`;
+  }
+
+  // drawTextEx resets the colour on every call, so a wrapped line has to
+  // repeat the last colour code of the line before it.
+  function carriedColorCode(line) {
+    const codes = line.match(/\\C\[\d+\]/gi);
+    return codes ? codes[codes.length - 1] : "";
+  }
+
+  const CJK_CHARS =
+    "\\u2E80-\\u9FFF\\uAC00-\\uD7AF\\uF900-\\uFAFF\\uFF00-\\uFFEF";
+  const ESCAPE_CODE = "\\\\[A-Z]*(?:\\[[^\\]]*\\])?|\\\\[{}<>|.!^$\\\\]";
+  // One CJK character, a word, or a run of spaces, with the escape codes in
+  // front of it; the line breaker never separates an escape code from what
+  // follows.
+  const WRAP_TOKEN = new RegExp(
+    `(?:${ESCAPE_CODE})*(?:[${CJK_CHARS}]|[^\\s\\\\${CJK_CHARS}]+|\\s+|\\\\)|(?:${ESCAPE_CODE})+`,
+    "gi"
+  );
+  // One character with the escape codes in front of it, for fitTextEx.
+  const FIT_TOKEN = new RegExp(`(?:${ESCAPE_CODE})*[\\s\\S]`, "gi");
+  // Closing punctuation may not start a line (kinsoku).
+  const NO_LINE_START = /^[、。，．！？）」』】〕〉》ー…]/;
+
+  /**
+   * Breaks a text into lines that fit the given width. Newlines are kept,
+   * blank lines become one empty line between paragraphs, words are wrapped
+   * at spaces and CJK text between any two characters.
+   * @param {Window_Base} win window used to measure the text
+   * @param {String} text may contain escape codes
+   * @param {Number} maxWidth
+   * @returns {String[]}
+   */
+  function wrapTextLines(win, text, maxWidth) {
+    const lines = [];
+    const trimEnd = (line) => line.replace(/\s+$/, "");
+    let carried = "";
+    let paragraphBreak = false;
+    String(text || "")
+      .split("\n")
+      .forEach((source) => {
+        if (!source.trim()) {
+          paragraphBreak = lines.length > 0;
+          return;
+        }
+        if (paragraphBreak) lines.push("");
+        paragraphBreak = false;
+        let cur = carried;
+        (source.match(WRAP_TOKEN) || []).forEach((token) => {
+          const space = !token.trim();
+          const started = plainText(cur).trim() !== "";
+          if (space && !started) return;
+          const fits = textWidthEx(win, cur + token) <= maxWidth;
+          if (fits || !started || NO_LINE_START.test(plainText(token))) {
+            cur += token;
+            return;
+          }
+          lines.push(trimEnd(cur));
+          cur = carriedColorCode(cur) + (space ? "" : token);
+        });
+        lines.push(trimEnd(cur));
+        carried = carriedColorCode(cur);
+      });
+    return lines;
+  }
+
   // ============================================================================
   //  Window_PersonalList Header
   // ============================================================================
 
   function Window_PersonalHeader(x, y, w, h) {
-    Window_Base.call(this, x, y, w, h);
+    Window_Base.call(this, ...windowArgs(x, y, w, h));
   }
   Window_PersonalHeader.prototype = Object.create(Window_Base.prototype);
   Window_PersonalHeader.prototype.constructor = Window_PersonalHeader;
+  applyWindowCompat(Window_PersonalHeader.prototype);
+  applyWindowSkin(Window_PersonalHeader.prototype, "header");
 
   Window_PersonalHeader.prototype.setData = function (
     faceName,
     faceIndex,
     name,
     category,
-    iconIndexes
+    iconIndexes,
+    affinity = null,
+    metText = ""
   ) {
     this._faceName = faceName;
     this._faceIndex = faceIndex;
     this._npcName = name;
     this._npcCategory = category;
     this._iconIndexes = iconIndexes || [];
+    this._affinity = affinity;
+    this._metText = metText;
     this.refresh();
   };
 
@@ -375,6 +3508,8 @@
     this._npcName = "";
     this._npcCategory = "";
     this._iconIndexes = [];
+    this._affinity = null;
+    this._metText = "";
     this.refresh();
   };
 
@@ -386,16 +3521,21 @@
 
     if (this._faceName) {
       this.drawFace(this._faceName, this._faceIndex, x, y);
-      x += Window_Base._faceWidth + 12;
+      x += FACE_WIDTH + 12;
     }
 
-    this.drawText(this._npcName || "", x, pad / 2, this.contentsWidth() - x);
+    const width = this.contentsWidth() - x - pad;
+    this.drawTextEx(fitTextEx(this, this._npcName, width), x, pad / 2);
 
+    // The "First met" text shares the category's line, at most half of it.
+    const metWidth = this._metText
+      ? Math.min(this.textWidth(this._metText), Math.floor(width / 2))
+      : 0;
     if (this._npcCategory) {
       y = pad / 2 + this.lineHeight();
-      this.changeTextColor(this.systemColor());
-      this.drawText(this._npcCategory, x, y, this.contentsWidth() - x);
-      this.resetTextColor();
+      const category = SYSTEM_COLOR_CODE + this._npcCategory;
+      const categoryWidth = width - (metWidth ? metWidth + pad : 0);
+      this.drawTextEx(fitTextEx(this, category, categoryWidth), x, y);
     }
 
     if (this._iconIndexes && this._iconIndexes.length) {
@@ -403,44 +3543,165 @@
       let iconX = x;
       this._iconIndexes.forEach((idx) => {
         this.drawIcon(idx, iconX, iconY);
-        iconX += Window_Base._iconWidth + 4;
+        iconX += ICON_WIDTH + 4;
+      });
+    }
+
+    if (this._metText) {
+      this.changeTextColor(this.systemColor());
+      this.drawText(
+        this._metText,
+        x + width - metWidth,
+        pad / 2 + this.lineHeight(),
+        metWidth,
+        "right"
+      );
+      this.resetTextColor();
+    }
+
+    if (this._affinity !== null && this._affinity !== undefined) {
+      this.drawAffinity(this._affinity);
+    }
+  };
+
+  /**
+   * Draws the affinity gauge with its rank label in the bottom right corner.
+   * @param {Number} value affinity
+   */
+  Window_PersonalHeader.prototype.drawAffinity = function (value) {
+    const pad = this.textPadding();
+    const width = Math.min(240, Math.floor(this.contentsWidth() / 3));
+    const x = this.contentsWidth() - width - pad;
+    const y = this.contentsHeight() - this.lineHeight();
+    const range = affinityMax - affinityMin;
+    const rate = range > 0 ? (value - affinityMin) / range : 0;
+    const gaugeY = y + this.lineHeight() - 8;
+
+    this.contents.fillRect(x, gaugeY, width, 6, this.gaugeBackColor());
+    this.contents.gradientFillRect(
+      x,
+      gaugeY,
+      Math.floor(width * rate),
+      6,
+      this.textColor(20),
+      this.textColor(21)
+    );
+    this.changeTextColor(this.systemColor());
+    this.drawText(uiText("affinityLabel"), x, y, width);
+    this.resetTextColor();
+    const rank = affinityRankOf(value);
+    this.drawText(uiText(`Rank[${rank}]`, rank), x, y, width, "right");
+  };
+
+  // ============================================================================
+  // Sprite_PersonalPortrait
+  // ============================================================================
+  // A Portrait: image, bottom-aligned in its area (centred in the portrait
+  // column, right-aligned over the details) and cropped to the area's edges.
+  function Sprite_PersonalPortrait() {
+    Sprite.call(this);
+    this._portrait = null;
+    this._area = new Rectangle(0, 0, 0, 0);
+  }
+
+  Sprite_PersonalPortrait.prototype = Object.create(Sprite.prototype);
+  Sprite_PersonalPortrait.prototype.constructor = Sprite_PersonalPortrait;
+
+  Sprite_PersonalPortrait.prototype.setArea = function (rect) {
+    this._area = rect;
+  };
+
+  /**
+   * @param {Object|null} portrait { name, x, y, scale } or null to hide
+   */
+  Sprite_PersonalPortrait.prototype.setPortrait = function (portrait) {
+    this._portrait = portrait;
+    this.bitmap = portrait ? ImageManager.loadPicture(portrait.name) : null;
+    if (this.bitmap) {
+      const bitmap = this.bitmap;
+      bitmap.addLoadListener(() => {
+        if (this.bitmap === bitmap) this.refreshFrame();
       });
     }
   };
 
+  Sprite_PersonalPortrait.prototype.refreshFrame = function () {
+    const area = this._area;
+    const scale = this._portrait.scale;
+    const width = this.bitmap.width * scale;
+    const height = this.bitmap.height * scale;
+    const alignX =
+      portraitLayout === "column"
+        ? (area.width - width) / 2
+        : area.width - width;
+    const dx = area.x + alignX + this._portrait.x;
+    const dy = area.y + area.height - height + this._portrait.y;
+    const left = Math.max(dx, area.x);
+    const top = Math.max(dy, area.y);
+    const right = Math.min(dx + width, area.x + area.width);
+    const bottom = Math.min(dy + height, area.y + area.height);
+    this.setFrame(
+      (left - dx) / scale,
+      (top - dy) / scale,
+      Math.max(right - left, 0) / scale,
+      Math.max(bottom - top, 0) / scale
+    );
+    this.scale.x = scale;
+    this.scale.y = scale;
+    this.x = left;
+    this.y = top;
+  };
+
   // ============================================================================
   // Foldable description
   // ============================================================================
 
   function Window_PersonalDesc(x, y, w, h) {
-    Window_Base.call(this, x, y, w, h);
+    Window_Base.call(this, ...windowArgs(x, y, w, h));
     this._pages = [];
     this._pageIdx = 0;
   }
   Window_PersonalDesc.prototype = Object.create(Window_Base.prototype);
   Window_PersonalDesc.prototype.constructor = Window_PersonalDesc;
+  applyWindowCompat(Window_PersonalDesc.prototype);
+  applyWindowSkin(Window_PersonalDesc.prototype, "details");
 
-  Window_PersonalDesc.prototype.setText = function (text) {
-    const pad = this.textPadding();
-    const maxW = this.contentsWidth() - pad * 2;
+  /**
+   * @param {String} text description
+   * @param {String[]} [journal] journal paragraphs; a second tab is shown
+   *   when there are any
+   */
+  Window_PersonalDesc.prototype.setText = function (text, journal = []) {
+    this._tabs = journal.length ? [[text], journal] : [[text]];
+    this.selectTab(0);
+  };
+
+  Window_PersonalDesc.prototype.hasTabs = function () {
+    return !!this._tabs && this._tabs.length > 1;
+  };
+
+  /**
+   * The wrapped lines of a tab; every paragraph of it starts a new line.
+   * @param {Number} index 0 for the details, 1 for the journal
+   * @returns {String[]}
+   */
+  Window_PersonalDesc.prototype.tabLines = function (index) {
+    const maxWidth = this.contentsWidth() - this.textPadding() * 2;
+    const lines = [];
+    this._tabs[index].forEach((paragraph) => {
+      lines.push(...wrapTextLines(this, paragraph, maxWidth));
+    });
+    return lines;
+  };
+
+  Window_PersonalDesc.prototype.selectTab = function (index) {
+    this._tabIndex = index;
     const lh = this.lineHeight();
-    const words = (text || "").split(" ");
-    const lines = [""];
-    let cur = "";
-    for (const w of words) {
-      const test = cur + w + " ";
-      if (this.textWidth(test) > maxW && cur) {
-        lines.push(w + " ");
-        cur = w + " ";
-      } else {
-        cur = test;
-        lines[lines.length - 1] = cur;
-      }
-    }
+    const lines = this.tabLines(index);
     const totalLines = lines.length;
     const linesPerPage = Math.max(
       1,
-      Math.floor(this.contentsHeight() / lh) - 1
+      Math.floor(this.contentsHeight() / lh) - (this.hasTabs() ? 2 : 1)
     );
 
     this._pages = [];
@@ -451,7 +3712,19 @@
     this.refresh();
   };
 
+  /**
+   * @param {Number} delta -1 for the previous tab, 1 for the next one
+   */
+  Window_PersonalDesc.prototype.changeTab = function (delta) {
+    const index = this._tabIndex + delta;
+    if (!this.hasTabs() || delta === 0) return;
+    if (index < 0 || index >= this._tabs.length) return;
+    SoundManager.playCursor();
+    this.selectTab(index);
+  };
+
   Window_PersonalDesc.prototype.clear = function () {
+    this._tabs = null;
     this._pages = [];
     this._pageIdx = 0;
     this.contents.clear();
@@ -462,50 +3735,149 @@
     const pad = this.textPadding();
     const lh = this.lineHeight();
     const maxHeight = this.contentsHeight() - lh;
+    const top = this.hasTabs() ? lh : 0;
 
     const page = this._pages[this._pageIdx] || [];
     for (let i = 0; i < page.length; i++) {
-      const y = i * lh;
+      const y = top + i * lh;
       if (y + lh > maxHeight) break;
-      this.drawText(page[i], pad, y, this.contentsWidth() - pad * 2);
+      this.drawTextEx(page[i], pad, y);
     }
 
-    if (this._pages.length > 1) {
-      const infoY = this.contentsHeight() - lh;
-      this.changeTextColor(this.systemColor());
-      this.drawText(
-        `Lap: ${this._pageIdx + 1}/${this._pages.length} (◀ ▶)`,
-        pad,
-        infoY,
-        this.contentsWidth() - pad * 2,
-        "right"
-      );
-      this.resetTextColor();
-    }
+    this._tabRects = [];
+    this._prevArrowRect = null;
+    this._nextArrowRect = null;
+    if (this.hasTabs()) this.drawTabs();
+    if (this._pages.length > 1) this.drawPager();
+  };
+
+  /**
+   * Draws the clickable Details / Journal labels in the top line.
+   */
+  Window_PersonalDesc.prototype.drawTabs = function () {
+    const width = Math.floor(this.contentsWidth() / 2);
+    [uiText("detailsTabText"), uiText("journalTabText")].forEach(
+      (label, index) => {
+        const rect = new Rectangle(index * width, 0, width, this.lineHeight());
+        this._tabRects.push(rect);
+        const selected = index === this._tabIndex;
+        this.changePaintOpacity(selected);
+        if (selected) this.changeTextColor(this.systemColor());
+        this.drawText(label, rect.x, rect.y, rect.width, "center");
+        this.resetTextColor();
+      }
+    );
+    this.changePaintOpacity(true);
   };
 
+  /**
+   * Draws the page number and the clickable ◀ ▶ arrows in the bottom line.
+   */
+  Window_PersonalDesc.prototype.drawPager = function () {
+    const pad = this.textPadding();
+    const lh = this.lineHeight();
+    const y = this.contentsHeight() - lh;
+    const arrowWidth = this.textWidth("◀") + pad * 2;
+    const nextX = this.contentsWidth() - pad - arrowWidth;
+    const prevX = nextX - arrowWidth;
+    this._prevArrowRect = new Rectangle(prevX, y, arrowWidth, lh);
+    this._nextArrowRect = new Rectangle(nextX, y, arrowWidth, lh);
+
+    this.changeTextColor(this.systemColor());
+    this.drawText(
+      uiText("pageText").format(this._pageIdx + 1, this._pages.length),
+      pad,
+      y,
+      prevX - pad * 2,
+      "right"
+    );
+    this.changePaintOpacity(this._pageIdx > 0);
+    this.drawText("◀", prevX, y, arrowWidth, "center");
+    this.changePaintOpacity(this._pageIdx < this._pages.length - 1);
+    this.drawText("▶", nextX, y, arrowWidth, "center");
+    this.changePaintOpacity(true);
+    this.resetTextColor();
+  };
+
+  /**
+   * @param {Number} delta -1 for the previous page, 1 for the next one
+   */
+  Window_PersonalDesc.prototype.changePage = function (delta) {
+    const index = this._pageIdx + delta;
+    if (index < 0 || index >= this._pages.length) return;
+    this._pageIdx = index;
+    this.refresh();
+  };
+
+  // With a journal tab, Page Up / Page Down switch tabs instead of pages.
   Window_PersonalDesc.prototype.update = function () {
     Window_Base.prototype.update.call(this);
-    if (!this.active || this._pages.length < 2) return;
-    if (Input.isTriggered("pageup") || Input.isTriggered("left")) {
-      if (this._pageIdx > 0) {
-        this._pageIdx--;
-        this.refresh();
-      }
+    if (!this.active || !this._tabs) return;
+    const tabs = this.hasTabs();
+    if (tabs && Input.isTriggered("pageup")) this.changeTab(-1);
+    if (tabs && Input.isTriggered("pagedown")) this.changeTab(1);
+    this.processPageKeys(tabs);
+    this.processPageTouch();
+  };
+
+  /**
+   * @param {Boolean} tabs Page Up / Page Down are taken by the tabs
+   */
+  Window_PersonalDesc.prototype.processPageKeys = function (tabs) {
+    if (Input.isTriggered("left") || (!tabs && Input.isTriggered("pageup"))) {
+      this.changePage(-1);
     }
-    if (Input.isTriggered("pagedown") || Input.isTriggered("right")) {
-      if (this._pageIdx < this._pages.length - 1) {
-        this._pageIdx++;
-        this.refresh();
-      }
+    if (
+      Input.isTriggered("right") ||
+      (!tabs && Input.isTriggered("pagedown"))
+    ) {
+      this.changePage(1);
+    }
+  };
+
+  // Index of the tab under the touch position, or -1.
+  Window_PersonalDesc.prototype.touchedTab = function () {
+    const pos = touchPosition(this);
+    const x = pos.x - this.padding;
+    const y = pos.y - this.padding;
+    return this._tabRects.findIndex((rect) => rect.contains(x, y));
+  };
+
+  // Minimum horizontal distance (in pixels) of a swipe that turns the page.
+  const SWIPE_DISTANCE = 48;
+
+  // Mouse wheel, horizontal swipes, and taps on the ◀ ▶ arrows and tabs.
+  Window_PersonalDesc.prototype.processPageTouch = function () {
+    if (TouchInput.wheelY >= 20) this.changePage(1);
+    if (TouchInput.wheelY <= -20) this.changePage(-1);
+
+    if (TouchInput.isTriggered() && isTouchInside(this)) {
+      this._touchStartX = TouchInput.x;
     }
+    if (!TouchInput.isReleased() || this._touchStartX === undefined) return;
+    const distance = TouchInput.x - this._touchStartX;
+    this._touchStartX = undefined;
+    if (Math.abs(distance) >= SWIPE_DISTANCE) {
+      this.changePage(distance < 0 ? 1 : -1);
+      return;
+    }
+    const pos = touchPosition(this);
+    const x = pos.x - this.padding;
+    const y = pos.y - this.padding;
+    if (this._prevArrowRect && this._prevArrowRect.contains(x, y)) {
+      this.changePage(-1);
+    } else if (this._nextArrowRect && this._nextArrowRect.contains(x, y)) {
+      this.changePage(1);
+    }
+    const tab = this.touchedTab();
+    if (tab >= 0) this.changeTab(tab - this._tabIndex);
   };
 
   // ============================================================================
   // Window_PersonalList
   // ============================================================================
   function Window_PersonalList(x, y, w, h) {
-    Window_Selectable.call(this, x, y, w, h);
+    Window_Selectable.call(this, ...windowArgs(x, y, w, h));
     this.refresh();
     this.select(0);
     this.activate();
@@ -513,6 +3885,27 @@
 
   Window_PersonalList.prototype = Object.create(Window_Selectable.prototype);
   Window_PersonalList.prototype.constructor = Window_PersonalList;
+  applyWindowCompat(Window_PersonalList.prototype);
+  applyWindowSkin(Window_PersonalList.prototype, "list");
+
+  Window_PersonalList.prototype.maxCols = function () {
+    return listColumns;
+  };
+
+  // MV selects an entry on the first tap and opens it on the second; open it
+  // right away like MZ does.
+  if (!IS_MZ) {
+    Window_PersonalList.prototype.onTouch = function (triggered) {
+      if (triggered && this.isCursorMovable()) {
+        const hit = this.hitTest(
+          this.canvasToLocalX(TouchInput.x),
+          this.canvasToLocalY(TouchInput.y)
+        );
+        if (hit >= 0 && hit !== this.index()) this.select(hit);
+      }
+      Window_Selectable.prototype.onTouch.call(this, triggered);
+    };
+  }
 
   Window_PersonalList.prototype.maxItems = function () {
     return this._data ? this._data.length : 0;
@@ -522,137 +3915,459 @@
     return this._data && this.index() >= 0 ? this._data[this.index()] : null;
   };
 
+  Window_PersonalList.prototype.isCurrentItemEnabled = function () {
+    const item = this.item();
+    return !!item && !item.undiscovered;
+  };
+
+  /**
+   * Filters the list to one category; null shows every NPC.
+   * @param {String|null} category
+   */
+  Window_PersonalList.prototype.setCategory = function (category) {
+    if (this._category === category) return;
+    this._category = category;
+    this.refresh();
+    this.setTopRow(0);
+  };
+
+  /**
+   * Keeps only the NPCs matching the search text; "" clears the filter.
+   * @param {String} query
+   */
+  Window_PersonalList.prototype.setSearchQuery = function (query) {
+    if ((this._searchQuery || "") === query) return;
+    this._searchQuery = query;
+    this.refresh();
+    this.setTopRow(0);
+  };
+
+  Window_PersonalList.prototype.searchQuery = function () {
+    return this._searchQuery || "";
+  };
+
+  // A search never shows "???" rows; they would match their hidden name.
+  Window_PersonalList.prototype.includes = function (item) {
+    return (
+      (!this._category || item.category === this._category) &&
+      (!this._searchQuery || !item.undiscovered) &&
+      matchesPersonalSearch(item, this._searchQuery)
+    );
+  };
+
   Window_PersonalList.prototype.refresh = function () {
-    this._data = getPersonalList();
+    this._data = sortPersonalItems(
+      shownPersonalList().filter((item) => this.includes(item)),
+      $gameSystem.personalSortMode()
+    );
     this.createContents();
     this.drawAllItems();
   };
 
+  // Face and two-line rows are one line higher.
+  Window_PersonalList.prototype.itemHeight = function () {
+    const height = Window_Selectable.prototype.itemHeight.call(this);
+    const tall = listRowStyle === "face" || listRowStyle === "twoLine";
+    return tall ? height + this.lineHeight() : height;
+  };
+
   Window_PersonalList.prototype.drawItem = function (index) {
     const item = this._data[index];
-    if (item) {
-      const rect = this.itemRectForText(index);
-      this.drawText(item.name, rect.x, rect.y, rect.width);
+    if (!item) return;
+    const rect = this.itemRect(index);
+    const pad = this.textPadding();
+    const lineHeight = this.lineHeight();
+    const lines = listRowStyle === "twoLine" ? 2 : 1;
+    let x = rect.x + pad;
+    const y = rect.y + (rect.height - lines * lineHeight) / 2;
+    const hidden = item.undiscovered;
+    this.changePaintOpacity(!hidden);
+    if (listRowStyle === "icon") {
+      const icon = hidden ? 0 : item.iconIndexes[0];
+      if (icon) this.drawIcon(icon, x, y + 2);
+      x += ICON_WIDTH + 4;
+    } else if (listRowStyle === "face") {
+      const size = rect.height - 4;
+      this.drawFaceThumbnail(
+        item.faceName,
+        item.faceIndex,
+        x,
+        rect.y + 2,
+        size,
+        hidden
+      );
+      x += size + pad;
+    }
+    const name = hidden ? uiText("undiscoveredText") : item.name;
+    const detail = hidden ? item.hint : item.category;
+    const color = hidden ? "" : listColorCode(item);
+    // The first line leaves room for the badge.
+    const width = rect.x + rect.width - pad - x;
+    const badge = item.entry.unread ? this.badgeWidth(item.entry.unread) : 0;
+    const drawLine = (text, lineY, maxWidth) =>
+      this.drawTextEx(fitTextEx(this, text, maxWidth), x, lineY);
+    if (listRowStyle === "twoLine") {
+      drawLine(color + name, y, width - badge);
+      if (detail) {
+        drawLine(SYSTEM_COLOR_CODE + detail, y + lineHeight, width);
+      }
+    } else if (hidden && item.hint) {
+      drawLine(`${name} ${SYSTEM_COLOR_CODE}${item.hint}`, y, width - badge);
+    } else {
+      drawLine(color + name, y, width - badge);
+    }
+    this.changePaintOpacity(true);
+    if (item.entry.unread) {
+      const lineWidth = rect.width - pad * 2;
+      const line = new Rectangle(rect.x + pad, y, lineWidth, lineHeight);
+      this.drawBadge(item.entry.unread, line);
+    }
+  };
+
+  /**
+   * Draws a face scaled down to a square of the given size.
+   * @param {Boolean} [silhouette] fills the face's shape with black
+   */
+  Window_PersonalList.prototype.drawFaceThumbnail = function (
+    faceName,
+    faceIndex,
+    x,
+    y,
+    size,
+    silhouette = false
+  ) {
+    if (!faceName) return;
+    const bitmap = ImageManager.loadFace(faceName);
+    const sx = (faceIndex % 4) * FACE_WIDTH;
+    const sy = Math.floor(faceIndex / 4) * FACE_HEIGHT;
+    this.contents.blt(
+      bitmap,
+      sx,
+      sy,
+      FACE_WIDTH,
+      FACE_HEIGHT,
+      x,
+      y,
+      size,
+      size
+    );
+    if (silhouette) {
+      // "source-atop" only paints over the pixels the face has just covered.
+      const context = this.contents.context;
+      context.globalCompositeOperation = "source-atop";
+      this.contents.fillRect(x, y, size, size, "black");
+      context.globalCompositeOperation = "source-over";
+    }
+  };
+
+  /**
+   * Draws the "new" / "updated" marker at the right edge of a row.
+   * @param {String} state "new" or "updated"
+   * @param {Rectangle} rect row rectangle from itemRectForText
+   */
+  /**
+   * Width the badge takes at the end of a row, with a small gap.
+   * @param {String} state "new" or "updated"
+   * @returns {Number}
+   */
+  Window_PersonalList.prototype.badgeWidth = function (state) {
+    if (badgeIcons[state]) return ICON_WIDTH + 4;
+    const text = uiText(state + "BadgeText");
+    return text ? this.textWidth(text) + 4 : 0;
+  };
+
+  Window_PersonalList.prototype.drawBadge = function (state, rect) {
+    if (badgeIcons[state]) {
+      const iconX = rect.x + rect.width - ICON_WIDTH;
+      this.drawIcon(badgeIcons[state], iconX, rect.y + 2);
+      return;
+    }
+    this.changeTextColor(this.textColor(state === "new" ? 24 : 17));
+    const text = uiText(state + "BadgeText");
+    this.drawText(text, rect.x, rect.y, rect.width, "right");
+    this.resetTextColor();
+  };
+
+  // ============================================================================
+  // Window_PersonalSearchEdit / Window_PersonalSearchInput
+  // ============================================================================
+  // Window_NameEdit expects an actor; the search only needs a name source.
+  const searchNameSource = {
+    name: () => "",
+    faceName: () => "",
+    faceIndex: () => 0,
+  };
+
+  function Window_PersonalSearchEdit(rect) {
+    if (IS_MZ) {
+      Window_NameEdit.call(this, rect);
+      this.setup(searchNameSource, SEARCH_MAX_LENGTH);
+    } else {
+      Window_NameEdit.call(this, searchNameSource, SEARCH_MAX_LENGTH);
+    }
+  }
+
+  Window_PersonalSearchEdit.prototype = Object.create(
+    Window_NameEdit.prototype
+  );
+  Window_PersonalSearchEdit.prototype.constructor = Window_PersonalSearchEdit;
+  applyWindowCompat(Window_PersonalSearchEdit.prototype);
+
+  /**
+   * Starts editing with the given text.
+   * @param {String} text current search text
+   */
+  Window_PersonalSearchEdit.prototype.start = function (text) {
+    this._name = text.slice(0, this._maxLength);
+    this._index = this._name.length;
+    this.refresh();
+  };
+
+  // No face: the characters are centred in the whole window.
+  Window_PersonalSearchEdit.prototype.faceWidth = function () {
+    return 0;
+  };
+
+  Window_PersonalSearchEdit.prototype.drawActorFace = function () {};
+
+  function Window_PersonalSearchInput() {
+    Window_NameInput.apply(this, arguments);
+  }
+
+  Window_PersonalSearchInput.prototype = Object.create(
+    Window_NameInput.prototype
+  );
+  Window_PersonalSearchInput.prototype.constructor = Window_PersonalSearchInput;
+  applyWindowCompat(Window_PersonalSearchInput.prototype);
+
+  // Cancel deletes the last character; with an empty text it leaves the
+  // search.
+  Window_PersonalSearchInput.prototype.processBack = function () {
+    if (this._editWindow.name()) {
+      Window_NameInput.prototype.processBack.call(this);
+    } else {
+      SoundManager.playCancel();
+      this.callCancelHandler();
+    }
+  };
+
+  // Keyboard typing while the grid is active. The listener runs in the
+  // capture phase on window, before Input sees the key, so letters such as
+  // Z, X, Q and W are typed instead of acting as OK, cancel or page keys.
+  // Space and Enter are left to Input, so they still confirm the grid.
+  Window_PersonalSearchInput.prototype.activate = function () {
+    Window_NameInput.prototype.activate.call(this);
+    this._onKeyDown = this._onKeyDown || this.onKeyDown.bind(this);
+    window.addEventListener("keydown", this._onKeyDown, true);
+  };
+
+  Window_PersonalSearchInput.prototype.deactivate = function () {
+    Window_NameInput.prototype.deactivate.call(this);
+    if (this._onKeyDown) {
+      window.removeEventListener("keydown", this._onKeyDown, true);
     }
   };
 
+  Window_PersonalSearchInput.prototype.onKeyDown = function (event) {
+    if (!this.active || event.ctrlKey || event.altKey || event.metaKey) return;
+    if (event.key === "Backspace") this._editWindow.back();
+    else if (event.key && event.key.length === 1 && event.key !== " ") {
+      this._editWindow.add(event.key);
+    } else return;
+    event.preventDefault();
+    event.stopPropagation();
+  };
+
+  // An empty search text is valid (it shows every NPC).
+  Window_PersonalSearchInput.prototype.onNameOk = function () {
+    SoundManager.playOk();
+    this.callOkHandler();
+  };
+
+  // ============================================================================
+  // Window_PersonalCategory
+  // ============================================================================
+  function Window_PersonalCategory(x, y, w, h) {
+    // MV sizes command windows itself (windowWidth / windowHeight) and
+    // ignores the width and height.
+    this._layoutWidth = w;
+    this._layoutHeight = h;
+    Window_HorzCommand.call(this, ...windowArgs(x, y, w, h));
+  }
+
+  Window_PersonalCategory.prototype = Object.create(
+    Window_HorzCommand.prototype
+  );
+  Window_PersonalCategory.prototype.constructor = Window_PersonalCategory;
+  applyWindowCompat(Window_PersonalCategory.prototype);
+  applyWindowSkin(Window_PersonalCategory.prototype, "category");
+
+  Window_PersonalCategory.prototype.windowWidth = function () {
+    return this._layoutWidth;
+  };
+
+  Window_PersonalCategory.prototype.windowHeight = function () {
+    return this._layoutHeight;
+  };
+
+  Window_PersonalCategory.prototype.maxCols = function () {
+    return Math.max(1, Math.min(this.maxItems(), 5));
+  };
+
+  // Categories only undiscovered NPCs have are labelled "???" as well.
+  Window_PersonalCategory.prototype.makeCommandList = function () {
+    const lists = personalLists();
+    const shown = showUndiscovered
+      ? lists.listed.concat(lists.undiscovered)
+      : lists.listed;
+    const all = uiText("allCategoryText");
+    this.addCommand(completionLabel(all, null, lists), "category", true, null);
+    const known = personalCategories(lists.listed);
+    personalCategories(shown).forEach((category) => {
+      const name = known.includes(category)
+        ? category
+        : uiText("undiscoveredText");
+      const label = completionLabel(name, category, lists);
+      this.addCommand(label, "category", true, category);
+    });
+  };
+
+  Window_PersonalCategory.prototype.drawItem = function (index) {
+    const rect = this.itemRectForText(index);
+    const name = this.commandName(index);
+    const offset = Math.max(0, (rect.width - textWidthEx(this, name)) / 2);
+    this.drawTextEx(name, rect.x + offset, rect.y);
+  };
+
+  Window_PersonalCategory.prototype.setListWindow = function (listWindow) {
+    this._listWindow = listWindow;
+    this.update();
+  };
+
+  Window_PersonalCategory.prototype.update = function () {
+    Window_HorzCommand.prototype.update.call(this);
+    if (this._listWindow) this._listWindow.setCategory(this.currentExt());
+  };
+
   // ============================================================================
   // Window_PersonalDetails
   // ============================================================================
+  // The scrolling variant of Window_PersonalDesc ("Details View": scroll).
+  // Instead of pages the text is one column of lines that scrolls smoothly
+  // with up / down, Page Up / Page Down, the mouse wheel or by dragging.
+  // Only the visible lines are drawn, so the tab line stays in place.
   function Window_PersonalDetails(x, y, w, h) {
-    Window_Base.call(this, x, y, w, h);
-    this._text = "";
-    this._faceName = "";
-    this._faceIndex = 0;
-    this._npcName = "";
-    this._npcCategory = "";
+    Window_PersonalDesc.call(this, x, y, w, h);
+    this._lines = [];
     this._scrollY = 0;
-    this._textHeight = 0;
+    this._targetScrollY = 0;
   }
-  Window_PersonalDetails.prototype = Object.create(Window_Base.prototype);
+  Window_PersonalDetails.prototype = Object.create(
+    Window_PersonalDesc.prototype
+  );
   Window_PersonalDetails.prototype.constructor = Window_PersonalDetails;
 
-  Window_PersonalDetails.prototype.setNpcData = function (
-    faceName,
-    faceIndex,
-    text,
-    name,
-    category
-  ) {
-    this._faceName = faceName;
-    this._faceIndex = faceIndex;
-    this._text = text;
-    this._npcName = name;
-    this._npcCategory = category;
+  Window_PersonalDetails.prototype.selectTab = function (index) {
+    this._tabIndex = index;
+    this._lines = this.tabLines(index);
     this._scrollY = 0;
+    this._targetScrollY = 0;
     this.refresh();
   };
 
-  Window_PersonalDetails.prototype.refresh = function () {
-    const pad = this.textPadding();
-    const maxW = this.contentsWidth() - pad * 2;
-    const lh = this.lineHeight();
-    const words = this._text.split(" ");
-    const lines = [""];
-    let curLine = "";
-    for (const w of words) {
-      const test = curLine + w + " ";
-      if (this.textWidth(test) > maxW && curLine) {
-        lines.push(w + " ");
-        curLine = w + " ";
-      } else {
-        curLine = test;
-        lines[lines.length - 1] = curLine;
-      }
-    }
-    const faceOff = this._faceName ? Window_Base._faceHeight + 10 : 0;
-    this._textHeight = lines.length * lh + faceOff;
+  Window_PersonalDetails.prototype.clear = function () {
+    Window_PersonalDesc.prototype.clear.call(this);
+    this._lines = [];
+    this._scrollY = 0;
+    this._targetScrollY = 0;
+    this.upArrowVisible = false;
+    this.downArrowVisible = false;
+  };
 
-    const cw = this.contentsWidth();
-    const ch = Math.max(this._textHeight, this.contentsHeight());
-    this.contents = new Bitmap(cw, ch);
-    this._windowContentsSprite.bitmap = this.contents;
+  Window_PersonalDetails.prototype.textTop = function () {
+    return this.hasTabs() ? this.lineHeight() : 0;
+  };
 
-    this.contents.clear();
-    let y = 0;
-    if (this._faceName) {
-      this.drawFace(this._faceName, this._faceIndex, pad, y);
-      const nameX = pad + Window_Base._faceWidth + 12;
-      const nameY = y + lh / 2;
-      this.drawText(this._npcName, nameX, nameY, cw - nameX);
-      if (this._npcCategory) {
-        this.changeTextColor(this.systemColor());
-        this.drawText(this._npcCategory, nameX, nameY + lh, cw - nameX);
-        this.resetTextColor();
-      }
-      y += faceOff;
+  Window_PersonalDetails.prototype.maxScrollY = function () {
+    const textHeight = this._lines.length * this.lineHeight();
+    return Math.max(0, textHeight - (this.contentsHeight() - this.textTop()));
+  };
+
+  Window_PersonalDetails.prototype.refresh = function () {
+    this.contents.clear();
+    const pad = this.textPadding();
+    const lh = this.lineHeight();
+    const top = this.textTop();
+    const first = Math.floor(this._scrollY / lh);
+    for (let i = first; i < this._lines.length; i++) {
+      const y = top + i * lh - this._scrollY;
+      if (y >= this.contentsHeight()) break;
+      this.drawTextEx(this._lines[i], pad, y);
     }
-    for (let i = 0; i < lines.length; i++) {
-      this.drawText(lines[i], pad, y + i * lh, maxW);
+
+    this._tabRects = [];
+    if (this.hasTabs()) {
+      // Lines scrolled half out of view must not cover the tabs.
+      this.contents.clearRect(0, 0, this.contentsWidth(), top);
+      this.drawTabs();
     }
+    this.upArrowVisible = this._scrollY > 0;
+    this.downArrowVisible = this._scrollY < this.maxScrollY();
+  };
 
-    this._windowContentsSprite.y = pad - this._scrollY;
+  /**
+   * Moves the scroll target; the text follows it smoothly.
+   * @param {Number} delta pixels, negative to scroll up
+   */
+  Window_PersonalDetails.prototype.scrollBy = function (delta) {
+    this._targetScrollY = Math.max(
+      0,
+      Math.min(this._targetScrollY + delta, this.maxScrollY())
+    );
   };
 
   Window_PersonalDetails.prototype.update = function () {
-    Window_Base.prototype.update.call(this);
-    if (this.active && this._textHeight > this.contentsHeight()) {
-      if (Input.isRepeated("down")) {
-        this._scrollY = Math.min(
-          this._scrollY + this.lineHeight(),
-          this._textHeight - this.contentsHeight()
-        );
-        this._windowContentsSprite.y = this.textPadding() - this._scrollY;
-      }
-      if (Input.isRepeated("up")) {
-        this._scrollY = Math.max(this._scrollY - this.lineHeight(), 0);
-        this._windowContentsSprite.y = this.textPadding() - this._scrollY;
-      }
-    }
+    Window_PersonalDesc.prototype.update.call(this);
+    const distance = this._targetScrollY - this._scrollY;
+    if (distance === 0) return;
+    const step = Math.max(1, Math.ceil(Math.abs(distance) / 4));
+    this._scrollY += Math.sign(distance) * Math.min(step, Math.abs(distance));
+    this.refresh();
   };
 
-  Window_PersonalDetails.prototype.drawTextAutoWrap = function (
-    text,
-    x,
-    y,
-    maxWidth,
-    lineHeight
-  ) {
-    const words = text.split(" ");
-    let line = "";
-    let yy = y;
-    for (let n = 0; n < words.length; n++) {
-      const testLine = line + words[n] + " ";
-      const testWidth = this.textWidth(testLine);
-      if (testWidth > maxWidth && n > 0) {
-        this.drawText(line, x, yy, maxWidth);
-        line = words[n] + " ";
-        yy += lineHeight;
-      } else {
-        line = testLine;
+  Window_PersonalDetails.prototype.processPageKeys = function (tabs) {
+    const lh = this.lineHeight();
+    const page = this.contentsHeight() - this.textTop() - lh;
+    if (Input.isRepeated("down")) this.scrollBy(lh);
+    if (Input.isRepeated("up")) this.scrollBy(-lh);
+    if (!tabs && Input.isTriggered("pagedown")) this.scrollBy(page);
+    if (!tabs && Input.isTriggered("pageup")) this.scrollBy(-page);
+  };
+
+  // Dragging moves the text directly; a tap without dragging selects a tab.
+  Window_PersonalDetails.prototype.processPageTouch = function () {
+    if (TouchInput.wheelY) this.scrollBy(TouchInput.wheelY);
+
+    if (TouchInput.isTriggered() && isTouchInside(this)) {
+      this._touchLastY = TouchInput.y;
+      this._dragged = false;
+    }
+    if (this._touchLastY === undefined) return;
+    if (TouchInput.isPressed()) {
+      const delta = this._touchLastY - TouchInput.y;
+      if (delta) {
+        this._dragged = true;
+        this.scrollBy(delta);
+        this._scrollY = this._targetScrollY;
+        this._touchLastY = TouchInput.y;
+        this.refresh();
       }
+      return;
     }
-    this.drawText(line, x, yy, maxWidth);
+    this._touchLastY = undefined;
+    if (this._dragged) return;
+    const tab = this.touchedTab();
+    if (tab >= 0) this.changeTab(tab - this._tabIndex);
   };
 
   // ====================================================================
@@ -661,7 +4376,7 @@
   const _Scene_Map_update = Scene_Map.prototype.update;
   Scene_Map.prototype.update = function () {
     _Scene_Map_update.call(this);
-    if (Input.isTriggered(PERSONAL_KEY) && $gameSystem._personalMenuEnabled) {
+    if (Input.isTriggered(openMenuSymbol) && $gameSystem._personalMenuEnabled) {
       SceneManager.push(Scene_PersonalList);
     }
   };
@@ -669,6 +4384,22 @@
   // ============================================================================
   // Initialisation
   // ============================================================================
+  const _Scene_Boot_create = Scene_Boot.prototype.create;
+  Scene_Boot.prototype.create = function () {
+    _Scene_Boot_create.call(this);
+    loadNpcIndex();
+    // Custom windowskins are needed for text colours as soon as the menu opens.
+    Object.keys(windowStyles).forEach((name) => {
+      const skin = windowStyles[name].windowskin;
+      if (skin) ImageManager.loadSystem(skin);
+    });
+  };
+
+  const _Scene_Boot_isReady = Scene_Boot.prototype.isReady;
+  Scene_Boot.prototype.isReady = function () {
+    return _Scene_Boot_isReady.call(this) && isNpcIndexReady();
+  };
+
   const _Scene_Boot_start = Scene_Boot.prototype.start;
   Scene_Boot.prototype.start = function () {
     _Scene_Boot_start.call(this);
@@ -680,21 +4411,51 @@
   // ============================================================================
   // Window_PersonalTitle
   // ============================================================================
-  function Window_PersonalTitle() {
-    const tempWin = new Window_Base(0, 0, 0, 0);
-    const height = tempWin.fittingHeight(1);
-    Window_Base.call(this, 0, 0, Graphics.boxWidth, height);
+  function Window_PersonalTitle(x, y, w, h) {
+    Window_Base.call(this, ...windowArgs(x, y, w, h));
     this.refresh();
   }
 
   Window_PersonalTitle.prototype = Object.create(Window_Base.prototype);
   Window_PersonalTitle.prototype.constructor = Window_PersonalTitle;
+  applyWindowCompat(Window_PersonalTitle.prototype);
+  applyWindowSkin(Window_PersonalTitle.prototype, "title");
+
+  /**
+   * Shows the active search text on the left; "" hides it.
+   * @param {String} query
+   */
+  Window_PersonalTitle.prototype.setSearchQuery = function (query) {
+    this._searchQuery = query;
+    this.refresh();
+  };
+
+  // "order" -> sortTextOrder …
+  const sortModeName = (mode) =>
+    uiText("sortText" + mode.charAt(0).toUpperCase() + mode.slice(1));
 
   Window_PersonalTitle.prototype.refresh = function () {
     this.contents.clear();
-    const text = PERSONAL_MENU_NAME;
+    const text = completionLabel(uiText("menuTitle"));
     const y = (this.contentsHeight() - this.lineHeight()) / 2;
     this.drawText(text, 0, y, this.contentsWidth(), "center");
+    this.changeTextColor(this.systemColor());
+    if (this._searchQuery) {
+      this.drawText(
+        uiText("searchText").format(this._searchQuery),
+        0,
+        y,
+        this.contentsWidth()
+      );
+    }
+    this.drawText(
+      uiText("sortText").format(sortModeName($gameSystem.personalSortMode())),
+      0,
+      y,
+      this.contentsWidth(),
+      "right"
+    );
+    this.resetTextColor();
   };
 
   // ─────────────────────────────────────────────────────────────────────────────
@@ -705,44 +4466,668 @@
     return list.some((item) => item.id === String(id));
   };
 
+  Game_System.prototype.personalUnreadCount = function () {
+    return (this._personalList || []).filter((entry) => entry.unread).length;
+  };
+
+  /**
+   * An NPC in the list with its current definition, as the menu shows it.
+   * @param {String|Number} id NPC id
+   * @returns {Object|null} definition fields plus `entry`, the saved state
+   *   (read only), or null when the NPC is not in the list
+   */
+  Game_System.prototype.personalEntry = function (id) {
+    const entry = findPersonalEntry(id);
+    return entry ? resolvePersonal(entry) : null;
+  };
+
+  /**
+   * NPCs in the list, in the order they were added.
+   * @param {Function|Object} [filter] a test called with each entry, or
+   *   field values every entry must have, e.g. { category: "Guard" }
+   * @returns {Object[]} same shape as personalEntry
+   */
+  Game_System.prototype.personalEntries = function (filter) {
+    const matches =
+      typeof filter === "function"
+        ? filter
+        : (item) =>
+            Object.keys(filter || {}).every((key) => item[key] === filter[key]);
+    return resolvedPersonalList().filter(matches);
+  };
+
+  Game_System.prototype.personalCount = function (filter) {
+    return this.personalEntries(filter).length;
+  };
+
+  /**
+   * Adds an NPC like AddPersonalToList. A plain object in the format of
+   * Personals.json defines the NPC without any event comment, or overrides
+   * fields of a defined one; it is stored in the save file.
+   * @param {String|Number|Object} npc NPC id, or { id, name, … }
+   * @returns {Boolean} false when the NPC has no definition with a name
+   */
+  Game_System.prototype.addPersonal = function (npc) {
+    if (npc && typeof npc === "object") {
+      const fields = normalizeNpcDefinition(npc);
+      return !!fields && upsertPersonal(fields.id, 0, npc);
+    }
+    return upsertPersonal(npc);
+  };
+
+  /**
+   * Changes single fields of an NPC in the list for this save, e.g.
+   * { notes: "…" } or { faceName: "People1", faceIndex: 2 }. Empty values
+   * leave a field unchanged, null clears it (all but the name), and
+   * variants replace the saved ones. A changed description marks the NPC
+   * "updated".
+   * @param {String|Number} id NPC id
+   * @param {Object} fields fields in the format of Personals.json
+   * @returns {Boolean} false when the NPC is not in the list
+   */
+  Game_System.prototype.updatePersonal = function (id, fields) {
+    const entry = findPersonalEntry(id);
+    if (!entry) return false;
+    applySavedFields(entry, fields || {});
+    checkPersonalChange(entry, false);
+    return true;
+  };
+
+  Game_System.prototype.removePersonal = function (id) {
+    return removePersonal(id);
+  };
+
+  /**
+   * Removes every NPC from the list, firing "removed" for each.
+   * @returns {Number} how many were removed
+   */
+  Game_System.prototype.clearPersonals = function () {
+    const ids = getPersonalList().map((entry) => entry.id);
+    ids.forEach((id) => removePersonal(id));
+    return ids.length;
+  };
+
+  /**
+   * How many of the NPCs defined in the project are in the list.
+   * @param {String} [category] only count NPCs of this category
+   * @returns {Object} { found, total, percent }
+   */
+  Game_System.prototype.personalCompletion = function (category) {
+    return personalCompletion(category || null);
+  };
+
+  Game_System.prototype.personalAffinity = function (id) {
+    const entry = findPersonalEntry(id);
+    return entry ? entryAffinity(entry) : null;
+  };
+
+  Game_System.prototype.personalAffinityRank = function (id) {
+    const entry = findPersonalEntry(id);
+    return entry ? affinityRankOf(entryAffinity(entry)) : "";
+  };
+
+  /**
+   * Sets an NPC's affinity, clamped to the configured bounds. Fires the
+   * onPersonalRankChanged callbacks when the rank changes.
+   * @param {String|Number} id NPC id
+   * @param {Number} value new affinity
+   * @returns {Boolean} false when the NPC is not in the list
+   */
+  Game_System.prototype.setPersonalAffinity = function (id, value) {
+    const entry = findPersonalEntry(id);
+    if (!entry || isNaN(value)) return false;
+    const oldRank = affinityRankOf(entryAffinity(entry));
+    entry.affinity = clampAffinity(value);
+    const rank = affinityRankOf(entry.affinity);
+    if (rank !== oldRank) {
+      this._triggerPersonalEvent("rank", id, rank, oldRank);
+    }
+    return true;
+  };
+
+  Game_System.prototype.changePersonalAffinity = function (id, amount) {
+    const current = this.personalAffinity(id);
+    if (current === null) return false;
+    return this.setPersonalAffinity(id, current + amount);
+  };
+
+  /**
+   * Where and when an NPC was met and talked to.
+   * @param {String|Number} id NPC id
+   * @returns {Object|null} { firstMet, lastMet, interactions,
+   *   lastInteraction }, null when the NPC is not in the list
+   */
+  Game_System.prototype.personalHistory = function (id) {
+    const entry = findPersonalEntry(id);
+    if (!entry) return null;
+    const copy = (record) => (record ? Object.assign({}, record) : null);
+    return {
+      firstMet: copy(entry.firstMet),
+      lastMet: copy(entry.lastMet),
+      interactions: entry.interactions || 0,
+      lastInteraction: copy(entry.lastInteraction),
+    };
+  };
+
+  /**
+   * Adds the NPC's Note[key] text to its journal, dated now.
+   * @param {String|Number} id NPC id
+   * @param {String} key note key, as written in Note[key]:
+   * @param {Number} [eventId] event that added the note
+   * @returns {Boolean} false when the NPC is not in the list, the note is
+   *   not defined or already in the journal
+   */
+  Game_System.prototype.addPersonalNote = function (id, key, eventId = 0) {
+    const entry = findPersonalEntry(id);
+    const item = entry && resolvePersonal(entry);
+    key = String(key).trim().toLowerCase();
+    if (!item) return false;
+    if (!item.journal.some((note) => note.key === key)) {
+      if (isPlaytest) {
+        console.warn(`${pluginName}: NPC ${id} has no Note[${key}] to add`);
+      }
+      return false;
+    }
+    entry.journal = entry.journal || [];
+    if (entry.journal.some((saved) => saved.key === key)) return false;
+    entry.journal.push(Object.assign({ key }, meetingRecord(eventId)));
+    markPersonalUpdated(entry);
+    return true;
+  };
+
+  Game_System.prototype.removePersonalNote = function (id, key) {
+    const entry = findPersonalEntry(id);
+    if (!entry || !entry.journal) return false;
+    key = String(key).trim().toLowerCase();
+    const before = entry.journal.length;
+    entry.journal = entry.journal.filter((saved) => saved.key !== key);
+    return entry.journal.length !== before;
+  };
+
+  /**
+   * Journal entries of an NPC in the list, newest first.
+   * @param {String|Number} id NPC id
+   * @returns {Object[]} { key, text, mapId, mapName, eventId, playtime, day }
+   */
+  Game_System.prototype.personalNotes = function (id) {
+    const entry = findPersonalEntry(id);
+    const item = entry && resolvePersonal(entry);
+    return item ? personalJournal(item) : [];
+  };
+
+  Game_System.prototype.personalInteractionCount = function (id) {
+    const entry = findPersonalEntry(id);
+    return entry ? entry.interactions || 0 : 0;
+  };
+
+  /**
+   * Counts a conversation with an NPC in the list.
+   * @param {String|Number} id NPC id
+   * @param {Number} [eventId] event the conversation happened in
+   * @returns {Boolean} false when the NPC is not in the list
+   */
+  Game_System.prototype.logPersonalInteraction = function (id, eventId = 0) {
+    const entry = findPersonalEntry(id);
+    if (!entry) return false;
+    entry.interactions = (entry.interactions || 0) + 1;
+    entry.lastInteraction = meetingRecord(eventId);
+    return true;
+  };
+
+  Game_System.prototype.personalSortMode = function () {
+    return SORT_MODES.includes(this._personalSortMode)
+      ? this._personalSortMode
+      : defaultSortMode;
+  };
+
+  /**
+   * Sets how the Personals list is sorted; stored in the save file.
+   * @param {String} mode "order", "name", "category" or "recent"
+   */
+  Game_System.prototype.setPersonalSortMode = function (mode) {
+    if (SORT_MODES.includes(mode)) this._personalSortMode = mode;
+  };
+
+  /**
+   * Unlocks or locks a named detail section of an NPC in the list.
+   * @param {String|Number} id NPC id
+   * @param {String} key section name, as written in Details[key]:
+   * @param {Boolean} revealed true to unlock, false to lock again
+   * @returns {Boolean} false when the NPC is not in the list
+   */
+  Game_System.prototype.setPersonalSection = function (id, key, revealed) {
+    const entry = findPersonalEntry(id);
+    if (!entry) return false;
+    key = String(key).trim().toLowerCase();
+    const sections = (entry.sections || []).filter((k) => k !== key);
+    if (revealed) sections.push(key);
+    entry.sections = sections;
+    return true;
+  };
+
+  Game_System.prototype.isPersonalSectionRevealed = function (id, key) {
+    const entry = findPersonalEntry(id);
+    key = String(key).trim().toLowerCase();
+    return !!entry && (entry.sections || []).includes(key);
+  };
+
   // ─────────────────────────────────────────────────────────────────────────────
   //  API SYSTEM
   // ─────────────────────────────────────────────────────────────────────────────
-  Game_System.prototype._personalListeners =
-    Game_System.prototype._personalListeners || {};
+  // Callbacks live in the plugin scope instead of on Game_System: functions
+  // can't be saved, so they are registered by code at startup and stay valid
+  // across new games and loaded saves. Save-safe reactions that need no script
+  // code are declared in the "Event Reactions" parameter.
+  const PERSONAL_EVENTS = ["added", "removed", "updated", "rank"];
+  const personalListeners = [];
+
+  /**
+   * Registers a callback for a personal list event.
+   * @param {String} event "added", "removed", "updated" or "rank"
+   * @param {String|Number|null} id NPC id, or null / "*" for every NPC
+   * @param {Function} callback function(id, ...details)
+   * @returns {Function} the callback, for offPersonalEvent
+   */
+  Game_System.prototype.onPersonalEvent = function (event, id, callback) {
+    if (!PERSONAL_EVENTS.includes(event)) {
+      throw new Error(`${pluginName}: unknown event "${event}"`);
+    }
+    id = id === null || id === undefined || id === "*" ? null : String(id);
+    personalListeners.push({ event, id, callback });
+    return callback;
+  };
+
+  /**
+   * Removes a callback registered with any of the on… methods.
+   * @param {Function} callback
+   * @param {String} [event] only remove it from this event
+   */
+  Game_System.prototype.offPersonalEvent = function (callback, event) {
+    for (let i = personalListeners.length - 1; i >= 0; i--) {
+      const listener = personalListeners[i];
+      if (listener.callback !== callback) continue;
+      if (!event || listener.event === event) personalListeners.splice(i, 1);
+    }
+  };
 
   /**
    * Registers a callback when an NPC is added to the list.
-   * @param {String|Number} id NPC id
+   * @param {String|Number} id NPC id, or "*" for any NPC
    * @param {Function} callback function(id) – call, when added
    */
   Game_System.prototype.onPersonalAdded = function (id, callback) {
-    id = String(id);
-    const L = (this._personalListeners[id] = this._personalListeners[id] || {});
-    L.added = L.added || [];
-    L.added.push(callback);
+    return this.onPersonalEvent("added", id, callback);
   };
 
   /**
    * Registers a callback when an NPC is removed from the list.
-   * @param {String|Number} id NPC id
+   * @param {String|Number} id NPC id, or "*" for any NPC
    * @param {Function} callback function(id) – call when removed
    */
   Game_System.prototype.onPersonalRemoved = function (id, callback) {
-    id = String(id);
-    const L = (this._personalListeners[id] = this._personalListeners[id] || {});
-    L.removed = L.removed || [];
-    L.removed.push(callback);
+    return this.onPersonalEvent("removed", id, callback);
   };
 
-  Game_System.prototype._triggerPersonalAdded = function (id) {
-    id = String(id);
-    const L = this._personalListeners[id];
-    if (L && L.added) L.added.forEach((cb) => cb(id));
+  /**
+   * Registers a callback when AddPersonalToList runs again for an NPC in the
+   * list whose description text changed.
+   * @param {String|Number} id NPC id, or "*" for any NPC
+   * @param {Function} callback function(id)
+   */
+  Game_System.prototype.onPersonalUpdated = function (id, callback) {
+    return this.onPersonalEvent("updated", id, callback);
+  };
+
+  /**
+   * Registers a callback when an NPC's affinity crosses into another rank.
+   * @param {String|Number} id NPC id, or "*" for any NPC
+   * @param {Function} callback function(id, rank, oldRank) – rank labels
+   */
+  Game_System.prototype.onPersonalRankChanged = function (id, callback) {
+    return this.onPersonalEvent("rank", id, callback);
   };
-  Game_System.prototype._triggerPersonalRemoved = function (id) {
+
+  Game_System.prototype._triggerPersonalEvent = function (event, id, ...args) {
     id = String(id);
-    const L = this._personalListeners[id];
-    if (L && L.removed) L.removed.forEach((cb) => cb(id));
+    personalListeners
+      .filter((l) => l.event === event && (l.id === null || l.id === id))
+      .forEach((l) => {
+        // A failing callback must not keep the others, the Event Reactions
+        // and the notification from running; the list is changed already.
+        try {
+          l.callback(id, ...args);
+        } catch (e) {
+          console.warn(
+            `${pluginName}: "${event}" callback for ${id} failed`,
+            e
+          );
+        }
+      });
+    runPersonalReactions(event, id, args[0]);
+    // removePersonal queues its notification itself, see there.
+    if (event !== "removed") {
+      queuePersonalToast(
+        event,
+        resolvePersonal(findPersonalEntry(id) || { id })
+      );
+    }
+  };
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  //  EVENT REACTIONS (plugin parameters)
+  // ─────────────────────────────────────────────────────────────────────────────
+  const eventReactions = JSON.parse(parameters["eventReactions"] || "[]")
+    .map((json) => JSON.parse(json))
+    .map((reaction) => ({
+      event: reaction.event || "added",
+      npcId: String(reaction.npcId || "").trim(),
+      rank: String(reaction.rank || "").trim(),
+      commonEvent: Number(reaction.commonEvent || 0),
+      switchId: Number(reaction.switchId || 0),
+      switchValue: reaction.switchValue !== "false",
+      idVariable: Number(reaction.idVariable || 0),
+    }));
+
+  // Numeric NPC IDs are stored as numbers so they can be used in conditions.
+  const npcIdValue = (id) => (/^-?\d+$/.test(id) ? Number(id) : id);
+
+  function runPersonalReactions(event, id, rank) {
+    eventReactions.forEach((reaction) => {
+      if (reaction.event !== event) return;
+      if (reaction.npcId && reaction.npcId !== id) return;
+      if (event === "rank" && reaction.rank && reaction.rank !== rank) return;
+      if (reaction.switchId) {
+        $gameSwitches.setValue(reaction.switchId, reaction.switchValue);
+      }
+      if (reaction.commonEvent) {
+        $gameTemp._personalReactionQueue =
+          $gameTemp._personalReactionQueue || [];
+        $gameTemp._personalReactionQueue.push({
+          commonEvent: reaction.commonEvent,
+          idVariable: reaction.idVariable,
+          id,
+        });
+      } else if (reaction.idVariable) {
+        $gameVariables.setValue(reaction.idVariable, npcIdValue(id));
+      }
+    });
+  }
+
+  // Only one Common Event can be reserved at a time, so reactions wait in a
+  // queue and the ID variable is set right before their Common Event starts.
+  function reserveNextPersonalReaction() {
+    const queue = $gameTemp._personalReactionQueue;
+    if (!queue || !queue.length || $gameTemp.isCommonEventReserved()) return;
+    const next = queue.shift();
+    if (next.idVariable) {
+      $gameVariables.setValue(next.idVariable, npcIdValue(next.id));
+    }
+    $gameTemp.reserveCommonEvent(next.commonEvent);
+  }
+
+  const _Game_Map_update = Game_Map.prototype.update;
+  Game_Map.prototype.update = function (sceneActive) {
+    reserveNextPersonalReaction();
+    _Game_Map_update.call(this, sceneActive);
+  };
+
+  // ─────────────────────────────────────────────────────────────────────────────
+  //  MAP NOTIFICATIONS
+  // ─────────────────────────────────────────────────────────────────────────────
+  // Like the reaction queue, the queue lives in $gameTemp and is not saved.
+  /**
+   * Queues a map notification. The item is resolved when the change happens,
+   * so a removed NPC still has its name.
+   * @param {String} event "added", "updated" or "removed"
+   * @param {Object|null} item result of resolvePersonal
+   */
+  function queuePersonalToast(event, item) {
+    if (!toastEvents[event] || !item) return;
+    if (item.faceName) ImageManager.loadFace(item.faceName);
+    $gameTemp._personalToastQueue = $gameTemp._personalToastQueue || [];
+    $gameTemp._personalToastQueue.push({
+      text: uiText(
+        `toast${event.charAt(0).toUpperCase()}${event.slice(1)}Text`
+      ).format(item.name),
+      faceName: item.faceName,
+      faceIndex: item.faceIndex,
+    });
+  }
+
+  function Window_PersonalToast() {
+    const height = fittingHeight(2);
+    const right = Graphics.boxWidth - toastWidth;
+    const x = /Left/.test(toastPosition)
+      ? 0
+      : /Right/.test(toastPosition)
+      ? right
+      : right / 2;
+    const y = toastPosition.startsWith("top") ? 0 : Graphics.boxHeight - height;
+    Window_Base.call(this, ...windowArgs(x, y, toastWidth, height));
+    this.openness = 0;
+    this._duration = 0;
+  }
+
+  Window_PersonalToast.prototype = Object.create(Window_Base.prototype);
+  Window_PersonalToast.prototype.constructor = Window_PersonalToast;
+  applyWindowCompat(Window_PersonalToast.prototype);
+
+  Window_PersonalToast.prototype.drawFaceThumbnail =
+    Window_PersonalList.prototype.drawFaceThumbnail;
+
+  Window_PersonalToast.prototype.update = function () {
+    Window_Base.prototype.update.call(this);
+    if (this.isOpening() || this.isClosing()) return;
+    if (this.isOpen()) {
+      if (--this._duration <= 0) this.close();
+      return;
+    }
+    const queue = $gameTemp._personalToastQueue;
+    if (!queue || !queue.length) return;
+    // Wait for the face, or the notification would appear without it.
+    const faceName = queue[0].faceName;
+    if (faceName && !ImageManager.loadFace(faceName).isReady()) return;
+    this.setup(queue.shift());
+  };
+
+  /**
+   * Draws a notification and opens the window.
+   * @param {Object} toast { text, faceName, faceIndex }
+   */
+  Window_PersonalToast.prototype.setup = function (toast) {
+    this.contents.clear();
+    let x = 0;
+    if (toast.faceName) {
+      const size = this.contentsHeight();
+      this.drawFaceThumbnail(toast.faceName, toast.faceIndex, 0, 0, size);
+      x = size + this.textPadding();
+    }
+    const y = (this.contentsHeight() - this.lineHeight()) / 2;
+    this.drawTextEx(toast.text, x, y);
+    if (toastSe) {
+      AudioManager.playSe({ name: toastSe, volume: 90, pitch: 100, pan: 0 });
+    }
+    this._duration = toastDuration;
+    this.open();
+  };
+
+  const _Scene_Map_createAllWindows = Scene_Map.prototype.createAllWindows;
+  Scene_Map.prototype.createAllWindows = function () {
+    _Scene_Map_createAllWindows.call(this);
+    this._personalToastWindow = new Window_PersonalToast();
+    this.addWindow(this._personalToastWindow);
+  };
+
+  // ============================================================================
+  //  DEBUG SCENE (playtest only)
+  // ============================================================================
+  // Every defined NPC with the validator's findings. OK adds or removes the
+  // selected NPC, exactly like the plugin commands do.
+  function Scene_PersonalDebug() {
+    Scene_MenuBase.call(this);
+  }
+
+  Scene_PersonalDebug.prototype = Object.create(Scene_MenuBase.prototype);
+  Scene_PersonalDebug.prototype.constructor = Scene_PersonalDebug;
+
+  Scene_PersonalDebug.prototype.create = function () {
+    Scene_MenuBase.prototype.create.call(this);
+    this.createHelpWindow();
+    const help = uiText("debugHelpText", "OK: add / remove    Cancel: back");
+    const problems = uiText("debugProblemsText", "%1 problem(s) found");
+    this._helpWindow.setText(
+      `${help}\n${problems.format(definitionIssues.length)}`
+    );
+    const top = IS_MZ ? this.mainAreaTop() : this._helpWindow.height;
+    const height = Graphics.boxHeight - top;
+    const width = Math.floor(Graphics.boxWidth * 0.4);
+    this._issueWindow = new Window_PersonalDebugIssues(
+      width,
+      top,
+      Graphics.boxWidth - width,
+      height
+    );
+    this.addWindow(this._issueWindow);
+    this._listWindow = new Window_PersonalDebugList(0, top, width, height);
+    this._listWindow.setHelpWindow(this._issueWindow);
+    this._listWindow.setHandler("ok", this.onListOk.bind(this));
+    this._listWindow.setHandler("cancel", this.popScene.bind(this));
+    this.addWindow(this._listWindow);
+  };
+
+  Scene_PersonalDebug.prototype.onListOk = function () {
+    const { id } = this._listWindow.item();
+    if ($gameSystem.isPersonalAdded(id)) removePersonal(id);
+    else upsertPersonal(id);
+    this._listWindow.refresh();
+    this._listWindow.activate();
+  };
+
+  function Window_PersonalDebugList(x, y, w, h) {
+    Window_Selectable.call(this, ...windowArgs(x, y, w, h));
+    this.refresh();
+    this.select(0);
+    this.activate();
+  }
+
+  Window_PersonalDebugList.prototype = Object.create(
+    Window_Selectable.prototype
+  );
+  Window_PersonalDebugList.prototype.constructor = Window_PersonalDebugList;
+  applyWindowCompat(Window_PersonalDebugList.prototype);
+
+  // Defined NPCs, then IDs only the validator knows (blocks it dropped).
+  Window_PersonalDebugList.prototype.makeItemList = function () {
+    const ids = Object.keys(npcIndex || {});
+    definitionIssues.forEach(({ id }) => {
+      if (!ids.includes(id)) ids.push(id);
+    });
+    this._data = ids.map((id) => ({ id, npc: findNpcDefinition(id) }));
+  };
+
+  Window_PersonalDebugList.prototype.maxItems = function () {
+    return this._data ? this._data.length : 0;
+  };
+
+  Window_PersonalDebugList.prototype.item = function () {
+    return this._data[this.index()] || null;
+  };
+
+  Window_PersonalDebugList.prototype.isCurrentItemEnabled = function () {
+    const item = this.item();
+    return !!(item && item.npc);
+  };
+
+  Window_PersonalDebugList.prototype.refresh = function () {
+    this.makeItemList();
+    Window_Selectable.prototype.refresh.call(this);
+    this.callUpdateHelp();
+  };
+
+  Window_PersonalDebugList.prototype.updateHelp = function () {
+    this.setHelpWindowItem(this.item());
+  };
+
+  Window_PersonalDebugList.prototype.drawItem = function (index) {
+    const { id, npc } = this._data[index];
+    const rect = this.itemRectForText(index);
+    const issues = definitionIssues.filter((issue) => issue.id === id).length;
+    const status = $gameSystem.isPersonalAdded(id) ? "[ON]" : "[OFF]";
+    const statusWidth = this.textWidth("[OFF]");
+    this.changePaintOpacity(!!npc);
+    this.changeTextColor(this.systemColor());
+    this.drawText(id || "–", rect.x, rect.y, 60);
+    this.resetTextColor();
+    const nameWidth = rect.width - 60 - statusWidth - 48;
+    const name = npc ? plainText(npc.name) : "";
+    this.drawText(name, rect.x + 60, rect.y, nameWidth);
+    if (issues) {
+      this.changeTextColor(this.textColor(2));
+      this.drawText(
+        `!${issues}`,
+        rect.x,
+        rect.y,
+        rect.width - statusWidth - 8,
+        "right"
+      );
+      this.resetTextColor();
+    }
+    if (npc) this.drawText(status, rect.x, rect.y, rect.width, "right");
+    this.changePaintOpacity(true);
+  };
+
+  function Window_PersonalDebugIssues(x, y, w, h) {
+    Window_Base.call(this, ...windowArgs(x, y, w, h));
+    this._item = null;
+  }
+
+  Window_PersonalDebugIssues.prototype = Object.create(Window_Base.prototype);
+  Window_PersonalDebugIssues.prototype.constructor = Window_PersonalDebugIssues;
+  applyWindowCompat(Window_PersonalDebugIssues.prototype);
+
+  Window_PersonalDebugIssues.prototype.setItem = function (item) {
+    this._item = item;
+    this.refresh();
+  };
+
+  Window_PersonalDebugIssues.prototype.clear = function () {
+    this.setItem(null);
+  };
+
+  Window_PersonalDebugIssues.prototype.refresh = function () {
+    this.contents.clear();
+    if (!this._item) return;
+    const { id, npc } = this._item;
+    const issues = definitionIssues.filter((issue) => issue.id === id);
+    const lineHeight = this.lineHeight();
+    const width = this.contentsWidth();
+    this.changeTextColor(this.systemColor());
+    const title = id
+      ? uiText("debugNpcText", "NPC %1").format(id)
+      : uiText("debugNoIdText", "Blocks without ID");
+    this.drawText(title, 0, 0, width);
+    this.resetTextColor();
+    if (npc) this.drawTextEx(npc.name, this.textWidth(`${title}  `), 0);
+    let y = lineHeight;
+    if (!issues.length) {
+      this.drawText(
+        uiText("debugNoProblemsText", "No problems found."),
+        0,
+        y,
+        width
+      );
+      return;
+    }
+    issues.forEach(({ where, message }) => {
+      y += lineHeight / 2;
+      this.changeTextColor(this.systemColor());
+      this.drawText(where, 0, y, width);
+      this.resetTextColor();
+      y += lineHeight;
+      wrapTextLines(this, message, width).forEach((line) => {
+        this.drawTextEx(line, 0, y);
+        y += lineHeight;
+      });
+    });
   };
 })();